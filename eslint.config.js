@@ -15,7 +15,13 @@ export default defineConfig([
     ],
     languageOptions: {
       ecmaVersion: 2020,
-      globals: globals.browser,
+      globals: {
+        ...globals.browser,
+        // Injected by the Canvas environment (see AuthWrapper in src/App.jsx).
+        __app_id: 'readonly',
+        __firebase_config: 'readonly',
+        __initial_auth_token: 'readonly',
+      },
       parserOptions: {
         ecmaVersion: 'latest',
         ecmaFeatures: { jsx: true },
@@ -26,4 +32,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Tests run in Node (see the `test` scripts).
+    files: ['test/**/*.js', 'functions/test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
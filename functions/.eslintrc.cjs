@@ -4,8 +4,8 @@ module.exports = {
     node: true,
   },
   parserOptions: {
-    ecmaVersion: 2018,
-    sourceType: "commonjs",
+    ecmaVersion: 2022,
+    sourceType: "module",
   },
   extends: [
     "eslint:recommended",
@@ -1,27 +1,1127 @@
 // functions/index.js
 
 // ✅ Use the correct trigger function from v2 Firestore
-const { onDocumentUpdated } = require("firebase-functions/v2/firestore");
-const { logger } = require("firebase-functions");
-const admin = require("firebase-admin");
+import { onDocumentCreated, onDocumentUpdated, onDocumentWritten } from "firebase-functions/v2/firestore";
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { onTaskDispatched } from "firebase-functions/v2/tasks";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { logger } from "firebase-functions";
+import { defineInt } from "firebase-functions/params";
+import admin from "firebase-admin";
+import { getFunctions } from "firebase-admin/functions";
+import { randomInt, randomUUID } from "node:crypto";
+import { DEFAULT_GAME_SETTINGS, UPCOMING_PROBLEM_COUNT, generateSeededProblem, getGamePresetId, normalizeGameSettings } from "./shared/problems.js";
+import { getBotProfile, getWrongAnswer, sampleBotAttempt, sampleBotCorrection } from "./shared/bots.js";
+import { BOT_RATING_DEVIATION, getBotRating, getGlickoPlayer, rateGame, rateRace } from "./shared/rating.js";
+import { getPublicIdentity } from "./shared/profiles.js";
+import { LEADERBOARDS, LEADERBOARD_SIZE, rankEntries } from "./shared/leaderboards.js";
+import { MAX_INPUT_LENGTH, MAX_KEYSTROKES_PER_ANSWER } from "./shared/replay.js";
+import { recordSeriesGame } from "./shared/series.js";
+import { RACE_MAX_PLAYERS, RACE_MIN_PLAYERS, getRaceStandings, isRace } from "./shared/races.js";
+import { MATCH_TIMEOUT_MS, MATCH_WINDOW_STEP_MS, findMatches, isSameSearch } from "./shared/matchmaking.js";
+import { DISCONNECT_GRACE_MS, getForfeitDeadline } from "./shared/presence.js";
 
 admin.initializeApp();
 const db = admin.firestore();
+const { Timestamp, FieldValue } = admin.firestore;
 
-// --- Utility Functions ---
-const getExpectedScore = (eloA, eloB) => {
-  return 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
+// Extra time allowed after the clock runs out for answers still in flight.
+const ANSWER_GRACE_MS = 1000;
+
+// How long a rematch offer waits for the opponent to accept.
+const REMATCH_TIMEOUT_MS = 30 * 1000;
+
+// Lobby hygiene limits (see `cleanUpGames` and `limitWaitingGames`), set per project at deploy time.
+const WAITING_GAME_TTL_MINUTES = defineInt("WAITING_GAME_TTL_MINUTES", {
+  default: 30,
+  description: "Minutes a game may wait for an opponent, or a race for its start, before it is deleted.",
+});
+const READY_GAME_TTL_MINUTES = defineInt("READY_GAME_TTL_MINUTES", {
+  default: 15,
+  description: "Minutes a game with both players may wait to be started before it is deleted.",
+});
+const FINISHED_GAME_RETENTION_DAYS = defineInt("FINISHED_GAME_RETENTION_DAYS", {
+  default: 30,
+  description: "Days a finished game, with its replay and telemetry, is kept. Match history is kept regardless.",
+});
+const MAX_WAITING_GAMES_PER_USER = defineInt("MAX_WAITING_GAMES_PER_USER", {
+  default: 1,
+  description: "How many waiting games (or races they host) one user may have open at once.",
+});
+
+// How many finished games one cleanup run deletes per app, to keep runs short.
+const CLEANUP_BATCH_SIZE = 200;
+
+// --- Game Helpers ---
+// Game documents are public, so anything secret (like the problem seed, from which
+// every answer can be derived) lives in a `private` subcollection that clients cannot read.
+const getGameRef = (appId, gameId) =>
+  db.doc(`artifacts/${appId}/public/data/games/${gameId}`);
+
+const getGameStateRef = (gameRef) => gameRef.collection("private").doc("state");
+
+// Per-player record of every solved problem: its text and operation, when it was shown and
+// solved, and how many wrong answers came first. `shownAt` and `wrongAttempts` track the
+// problem the player is currently on. Readable by clients once written (see firestore.rules).
+const getTelemetryRef = (gameRef, playerKey) => gameRef.collection("telemetry").doc(playerKey);
+
+// Per-player replay event log in the format described in `shared/replay.js`.
+const getReplayRef = (gameRef, playerKey) => gameRef.collection("replay").doc(playerKey);
+
+// Keeps the well-formed keystrokes a client sent with an answer: `{ value, msBeforeSubmit }`,
+// where `msBeforeSubmit` is how long before the submission the answer box held `value`.
+const sanitizeKeystrokes = (keystrokes) => {
+  if (!Array.isArray(keystrokes)) return [];
+  return keystrokes
+    .slice(-MAX_KEYSTROKES_PER_ANSWER)
+    .filter((keystroke) =>
+      typeof keystroke?.value === "string" &&
+      keystroke.value.length <= MAX_INPUT_LENGTH &&
+      Number.isFinite(keystroke.msBeforeSubmit) &&
+      keystroke.msBeforeSubmit >= 0);
+};
+
+// Validates the caller and the `{ appId, gameId }` payload shared by every game callable.
+const getCallContext = (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in.");
+  }
+  const { appId, gameId } = request.data || {};
+  const isValidId = (id) => typeof id === "string" && id.length > 0 && !id.includes("/");
+  if (!isValidId(appId) || !isValidId(gameId)) {
+    throw new HttpsError("invalid-argument", "A valid appId and gameId are required.");
+  }
+  return { uid: request.auth.uid, gameRef: getGameRef(appId, gameId) };
+};
+
+// Builds a complete new game document, with the same fields the lobby writes for games it creates.
+// `player1` and `player2` are `{ id, rating, ratingDeviation, name, avatarSeed }`. Games after the
+// first of a series carry its `seriesId` and their number in it. `createdAt` and `readyAt` are
+// server times, which `cleanUpGames` relies on.
+const createGameData = ({
+  player1,
+  player2,
+  opponentType = "human",
+  status = "ready",
+  visibility = "public",
+  settings = DEFAULT_GAME_SETTINGS,
+  bestOf = 1,
+  seriesId = null,
+  seriesGame = null,
+  createdAt = Timestamp.now(),
+}) => ({
+  player1Id: player1.id,
+  player1Score: 0,
+  player1EloAtStart: player1.rating,
+  player1DeviationAtStart: player1.ratingDeviation,
+  player1Name: player1.name,
+  player1AvatarSeed: player1.avatarSeed,
+  player2Id: player2.id,
+  player2Score: 0,
+  player2EloAtStart: player2.rating,
+  player2DeviationAtStart: player2.ratingDeviation,
+  player2Name: player2.name,
+  player2AvatarSeed: player2.avatarSeed,
+  status,
+  opponentType,
+  visibility,
+  roomCode: null,
+  settings: normalizeGameSettings(settings),
+  bestOf,
+  seriesId,
+  seriesGame,
+  player1ProblemIndex: 0,
+  player1Problem: null,
+  player1AnswerLength: null,
+  player2ProblemIndex: 0,
+  player2Problem: null,
+  player2AnswerLength: null,
+  startTime: null,
+  endTime: null,
+  winnerId: null,
+  eloCalculated: false,
+  createdAt,
+  readyAt: status === "ready" ? createdAt : null,
+});
+
+// Returns the key of a participant's seat, or null for anyone else: "player1" or "player2" in a
+// two-player game, and the user ID itself in a race (see `shared/races.js`). The telemetry and
+// replay documents of two-player games are named by this key.
+const getPlayerKey = (game, uid) => {
+  if (isRace(game)) return game.playerIds.includes(uid) ? uid : null;
+  if (uid === game.player1Id) return "player1";
+  if (uid === game.player2Id) return "player2";
+  return null;
+};
+
+// Every seat's key, in seat (or join) order.
+const getPlayerKeys = (game) => (isRace(game) ? game.playerIds : ["player1", "player2"]);
+
+// Field path of one of a player's fields (e.g. "score"): "player1Score" in a two-player game,
+// "players.{uid}.score" in a race.
+const getPlayerFieldPath = (game, playerKey, field) =>
+  isRace(game)
+    ? `players.${playerKey}.${field}`
+    : `${playerKey}${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+
+// Reads one of a player's fields (see `getPlayerFieldPath`).
+const getPlayerField = (game, playerKey, field) =>
+  isRace(game) ? game.players[playerKey]?.[field] : game[getPlayerFieldPath(game, playerKey, field)];
+
+// Builds the public fields showing problem `index` of the game's sequence to one player, with the
+// texts of the next few problems for optimistic play (see `UPCOMING_PROBLEM_COUNT`). Only problem
+// texts and the answer length are published; the seed stays on the server.
+const createProblemFields = (game, seed, playerKey, index) => {
+  const { problem, answer } = generateSeededProblem(game.settings, seed, index);
+  const upcomingProblems = Array.from({ length: UPCOMING_PROBLEM_COUNT }, (_, offset) =>
+    generateSeededProblem(game.settings, seed, index + 1 + offset).problem);
+  return {
+    [getPlayerFieldPath(game, playerKey, "problemIndex")]: index,
+    [getPlayerFieldPath(game, playerKey, "problem")]: problem,
+    [getPlayerFieldPath(game, playerKey, "answerLength")]: String(answer).length,
+    [getPlayerFieldPath(game, playerKey, "upcomingProblems")]: upcomingProblems,
+  };
+};
+
+// Determines the winner from the final scores (null for a draw).
+const getWinnerId = (game) => {
+  if (game.player1Score > game.player2Score) return game.player1Id;
+  if (game.player2Score > game.player1Score) return game.player2Id;
+  return null;
+};
+
+// Moves a 'playing' game whose clock has run out to 'finished'. Safe to call repeatedly.
+// Returns true once the game is finished, false if it is still running.
+const finishGameIfOver = (gameRef) =>
+  db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    if (!gameSnap.exists) return true; // Nothing left to finish.
+    const game = gameSnap.data();
+    if (game.status !== "playing") return true;
+    if (Timestamp.now().toMillis() < game.endTime.toMillis()) return false;
+
+    if (isRace(game)) {
+      // A race is won outright only by a single racer in first place.
+      const standings = getRaceStandings(game);
+      const winners = standings.filter((entry) => entry.place === 1);
+      transaction.update(gameRef, {
+        status: "finished",
+        standings,
+        winnerId: winners.length === 1 ? winners[0].uid : null,
+        finishedAt: Timestamp.now(),
+      });
+    } else {
+      transaction.update(gameRef, {
+        status: "finished",
+        winnerId: getWinnerId(game),
+        finishedAt: Timestamp.now(),
+      });
+    }
+    logger.log(`Game ${gameRef.id} finished.`);
+    return true;
+  });
+
+// Schedules the bot's next attempt at problem `problemIndex`, unless it would land after the game
+// ends. The delay comes from the bot's skill model for that exact problem, and a planned slip is
+// decided here and carried in the task. A retry is the bot correcting its own wrong answer.
+// The task id makes the enqueue idempotent, so a retried task never schedules the same answer twice.
+const scheduleBotTurn = async ({ appId, gameId, game, seed, problemIndex, fromMillis, retry = false }) => {
+  const bot = getBotProfile(game.opponentType);
+  if (!bot) {
+    logger.error(`Unknown bot type ${game.opponentType} in game ${gameId}.`);
+    return;
+  }
+  let delayMs = sampleBotCorrection(bot);
+  let mistake = false;
+  if (!retry) {
+    const problem = generateSeededProblem(game.settings, seed, problemIndex);
+    ({ solveMs: delayMs, mistake } = sampleBotAttempt(bot, problem));
+  }
+
+  const answerAt = fromMillis + delayMs;
+  if (answerAt > game.endTime.toMillis()) return;
+  try {
+    await getFunctions().taskQueue("botTurn").enqueue(
+      { appId, gameId, problemIndex, mistake },
+      { scheduleTime: new Date(answerAt), id: `${gameId}-bot-${problemIndex}-${retry ? "retry" : "first"}` }
+    );
+  } catch (error) {
+    if (error.code !== "functions/task-already-exists") throw error;
+  }
+};
+
+// --- Game Cloud Functions ---
+// Starts a 'ready' game. Only player 1 may start a single game; a series game starts once both
+// players have called this (see `readyPlayerIds`), and its first game also creates the series.
+// A race is started from 'waiting' by its host, once enough racers have joined.
+// A fresh seed is drawn here, and both players are shown the first problem of the same sequence.
+export const startGame = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  let startedGame;
+  let startedSeed;
+
+  await db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    if (!gameSnap.exists) {
+      throw new HttpsError("not-found", "Game not found.");
+    }
+    const game = gameSnap.data();
+    const isSeries = game.bestOf > 1;
+    if (isRace(game)) {
+      if (game.hostId !== uid) {
+        throw new HttpsError("permission-denied", "Only the host can start the race.");
+      }
+      if (game.status !== "waiting" || game.playerIds.length < RACE_MIN_PLAYERS) {
+        throw new HttpsError("failed-precondition", `A race needs at least ${RACE_MIN_PLAYERS} racers.`);
+      }
+    } else if (isSeries ? !getPlayerKey(game, uid) : game.player1Id !== uid) {
+      throw new HttpsError("permission-denied", "Only player 1 can start the game.");
+    } else if (game.status !== "ready") {
+      throw new HttpsError("failed-precondition", "The game is not ready to start.");
+    }
+    // Bot games are created by the client, so the bot must be one of the known levels and its
+    // starting rating is taken from the bot table rather than from the game document.
+    const bot = getBotProfile(game.opponentType);
+    if (!isRace(game) && game.opponentType !== "human" && !bot) {
+      throw new HttpsError("failed-precondition", `Unknown opponent type ${game.opponentType}.`);
+    }
+    if (isSeries) {
+      const readyPlayerIds = [...new Set([...(game.readyPlayerIds || []), uid])];
+      if (readyPlayerIds.length < 2) {
+        transaction.update(gameRef, { readyPlayerIds });
+        return;
+      }
+    }
+
+    const seed = randomInt(2 ** 32);
+    const { duration } = normalizeGameSettings(game.settings);
+    const startTime = Timestamp.now();
+    const endTime = Timestamp.fromMillis(startTime.toMillis() + duration * 1000);
+    const updates = {
+      ...Object.assign({}, ...getPlayerKeys(game).map((playerKey) => createProblemFields(game, seed, playerKey, 0))),
+      status: "playing",
+      startTime,
+      endTime,
+      ...(bot ? { player2EloAtStart: bot.rating, player2DeviationAtStart: BOT_RATING_DEVIATION } : {}),
+    };
+    if (isSeries && !game.seriesId) {
+      transaction.set(getSeriesRef(request.data.appId, gameRef.id), createSeriesData(gameRef.id, game));
+      Object.assign(updates, { seriesId: gameRef.id, seriesGame: 1 });
+    }
+    transaction.set(getGameStateRef(gameRef), { seed });
+    // Races record no telemetry or replay (see `applyAnswer`).
+    if (!isRace(game)) {
+      for (const playerKey of getPlayerKeys(game)) {
+        transaction.set(getTelemetryRef(gameRef, playerKey), {
+          problems: [],
+          shownAt: startTime.toMillis(),
+          wrongAttempts: 0,
+        });
+        transaction.set(getReplayRef(gameRef, playerKey), {
+          events: [{ t: 0, player: playerKey, type: "problem", index: 0, problem: updates[getPlayerFieldPath(game, playerKey, "problem")] }],
+        });
+      }
+    }
+    transaction.update(gameRef, updates);
+    startedGame = { ...game, ...updates };
+    startedSeed = seed;
+  });
+  if (!startedGame) {
+    return { started: false }; // Waiting for the other player of the series.
+  }
+
+  // Finish the game on the server when the clock runs out, whether or not anyone is connected.
+  await getFunctions().taskQueue("finishGame").enqueue(
+    { appId: request.data.appId, gameId: gameRef.id },
+    { scheduleTime: startedGame.endTime.toDate() }
+  );
+
+  // Forfeit a player who disconnects (see `checkPresence`).
+  if (!isRace(startedGame)) {
+    await schedulePresenceCheck(
+      request.data.appId,
+      gameRef.id,
+      startedGame.endTime,
+      startedGame.startTime.toMillis() + DISCONNECT_GRACE_MS
+    );
+  }
+
+  // Bots play on the server, so they keep going even if the human closes the tab.
+  if (getBotProfile(startedGame.opponentType)) {
+    await scheduleBotTurn({
+      appId: request.data.appId,
+      gameId: gameRef.id,
+      game: startedGame,
+      seed: startedSeed,
+      problemIndex: 0,
+      fromMillis: startedGame.startTime.toMillis(),
+    });
+  }
+
+  logger.log(`Game ${gameRef.id} started by ${uid}.`);
+  return { started: true };
+});
+
+// Checks an answer to a player's current problem inside a transaction. Each player progresses
+// through the shared sequence independently: a correct answer increments that player's score
+// and moves only them to the next problem. In a two-player game both outcomes are recorded in the
+// player's telemetry, and the keystrokes leading up to the answer in their replay log; races have
+// neither. Humans (via `submitAnswer`) and bots (via `botTurn`) both go through here, so their
+// progress is recorded identically.
+const applyAnswer = (gameRef, playerId, problemIndex, answer, keystrokes = []) =>
+  db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    if (!gameSnap.exists) {
+      throw new HttpsError("not-found", "Game not found.");
+    }
+    const game = gameSnap.data();
+    const playerKey = getPlayerKey(game, playerId);
+    if (!playerKey) {
+      throw new HttpsError("permission-denied", "You are not a player in this game.");
+    }
+    if (game.status !== "playing") {
+      throw new HttpsError("failed-precondition", "The game is not in progress.");
+    }
+    if (Timestamp.now().toMillis() > game.endTime.toMillis() + ANSWER_GRACE_MS) {
+      throw new HttpsError("deadline-exceeded", "Time is up.");
+    }
+
+    // The player already moved past this problem (e.g. a duplicate submission).
+    const currentIndex = getPlayerField(game, playerKey, "problemIndex");
+    if (problemIndex !== currentIndex) {
+      return { correct: false, stale: true };
+    }
+
+    const recorded = !isRace(game);
+    const telemetryRef = getTelemetryRef(gameRef, playerKey);
+    const [stateSnap, telemetrySnap] = await Promise.all([
+      transaction.get(getGameStateRef(gameRef)),
+      recorded ? transaction.get(telemetryRef) : null,
+    ]);
+    if (!stateSnap.exists) {
+      throw new HttpsError("internal", "Game state is missing.");
+    }
+    const { seed } = stateSnap.data();
+    const { answer: correctAnswer, operation } = generateSeededProblem(game.settings, seed, currentIndex);
+    const correct = String(answer).trim() === String(correctAnswer);
+
+    // Replay events, timed from the game start. Keystrokes cannot predate the problem.
+    const startMillis = game.startTime.toMillis();
+    const t = Timestamp.now().toMillis() - startMillis;
+    const shownT = telemetrySnap?.exists ? telemetrySnap.data().shownAt - startMillis : 0;
+    const events = sanitizeKeystrokes(keystrokes).map(({ value, msBeforeSubmit }) =>
+      ({ t: Math.max(shownT, t - msBeforeSubmit), player: playerKey, type: "input", value }));
+    events.push({ t, player: playerKey, type: "answer", index: currentIndex, correct });
+
+    if (!correct) {
+      if (telemetrySnap?.exists) transaction.update(telemetryRef, { wrongAttempts: FieldValue.increment(1) });
+      if (recorded) transaction.set(getReplayRef(gameRef, playerKey), { events: FieldValue.arrayUnion(...events) }, { merge: true });
+      return { correct: false, stale: false };
+    }
+
+    const score = (getPlayerField(game, playerKey, "score") || 0) + 1;
+    const nextProblemFields = createProblemFields(game, seed, playerKey, currentIndex + 1);
+    transaction.update(gameRef, {
+      ...nextProblemFields,
+      [getPlayerFieldPath(game, playerKey, "score")]: score,
+    });
+    events.push(
+      { t, player: playerKey, type: "score", score },
+      {
+        t,
+        player: playerKey,
+        type: "problem",
+        index: currentIndex + 1,
+        problem: nextProblemFields[getPlayerFieldPath(game, playerKey, "problem")],
+      }
+    );
+    if (recorded) transaction.set(getReplayRef(gameRef, playerKey), { events: FieldValue.arrayUnion(...events) }, { merge: true });
+    if (telemetrySnap?.exists) {
+      const { shownAt, wrongAttempts } = telemetrySnap.data();
+      const solvedAt = Timestamp.now().toMillis();
+      transaction.update(telemetryRef, {
+        problems: FieldValue.arrayUnion({
+          index: currentIndex,
+          problem: getPlayerField(game, playerKey, "problem"),
+          operation,
+          shownAt,
+          solvedAt,
+          solveMs: solvedAt - shownAt,
+          wrongAttempts,
+        }),
+        shownAt: solvedAt,
+        wrongAttempts: 0,
+      });
+    }
+    return { correct: true, stale: false };
+  });
+
+// Checks a human player's answer. Scores are never client-written.
+export const submitAnswer = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  const { problemIndex, answer, keystrokes } = request.data;
+  return applyAnswer(gameRef, uid, problemIndex, answer, keystrokes);
+});
+
+// Finishes a game at its `endTime`. Enqueued by `startGame`; retried if it fires early.
+export const finishGame = onTaskDispatched(
+  {
+    retryConfig: { maxAttempts: 5, minBackoffSeconds: 5 },
+    rateLimits: { maxConcurrentDispatches: 50 },
+  },
+  async (request) => {
+    const { appId, gameId } = request.data;
+    const finished = await finishGameIfOver(getGameRef(appId, gameId));
+    if (!finished) {
+      // Throwing makes Cloud Tasks retry after the backoff.
+      throw new Error(`Game ${gameId} is not over yet.`);
+    }
+  }
+);
+
+// Plays one bot attempt: the bot answers its current problem through `applyAnswer`, exactly like
+// a human submission, then schedules its next attempt. A planned slip submits a wrong answer of
+// the right length first and schedules the correction. The chain stops when the game ends.
+export const botTurn = onTaskDispatched(
+  {
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 1 },
+    rateLimits: { maxConcurrentDispatches: 100 },
+  },
+  async (request) => {
+    const { appId, gameId, problemIndex, mistake } = request.data;
+    const gameRef = getGameRef(appId, gameId);
+    const [gameSnap, stateSnap] = await Promise.all([gameRef.get(), getGameStateRef(gameRef).get()]);
+    if (!gameSnap.exists || !stateSnap.exists) return;
+    const game = gameSnap.data();
+    if (game.status !== "playing") return;
+
+    const { seed } = stateSnap.data();
+    const { answer } = generateSeededProblem(game.settings, seed, problemIndex);
+    try {
+      // Bots have no keystrokes; their answer appears in the replay as typed at once.
+      const botAnswer = mistake ? getWrongAnswer(answer) : answer;
+      const keystrokes = [{ value: String(botAnswer), msBeforeSubmit: 0 }];
+      const result = await applyAnswer(gameRef, game.player2Id, problemIndex, botAnswer, keystrokes);
+      if (result.stale) return; // This answer was already played by an earlier delivery.
+    } catch (error) {
+      if (error instanceof HttpsError) return; // The game ended between the read and the answer.
+      throw error;
+    }
+    await scheduleBotTurn({
+      appId,
+      gameId,
+      game,
+      seed,
+      problemIndex: mistake ? problemIndex : problemIndex + 1,
+      fromMillis: Date.now(),
+      retry: mistake,
+    });
+  }
+);
+
+// Client fallback for ending a game whose task is late. The server decides whether time is up.
+export const endGame = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  const gameSnap = await gameRef.get();
+  if (!gameSnap.exists) {
+    throw new HttpsError("not-found", "Game not found.");
+  }
+  if (!getPlayerKey(gameSnap.data(), uid)) {
+    throw new HttpsError("permission-denied", "You are not a player in this game.");
+  }
+  return { finished: await finishGameIfOver(gameRef) };
+});
+
+// --- Presence ---
+// Heartbeats of the human players in a two-player game (see `shared/presence.js`).
+const getPresenceCollection = (gameRef) => gameRef.collection("presence");
+
+// Schedules the next presence check of a game, unless it would land after the game ends.
+const schedulePresenceCheck = async (appId, gameId, endTime, atMillis) => {
+  if (atMillis >= endTime.toMillis()) return;
+  try {
+    await getFunctions().taskQueue("checkPresence").enqueue(
+      { appId, gameId },
+      { scheduleTime: new Date(atMillis), id: `${gameId}-presence-${atMillis}` }
+    );
+  } catch (error) {
+    if (error.code !== "functions/task-already-exists") throw error;
+  }
+};
+
+// Forfeits a playing game for a human player whose heartbeats stopped for longer than the grace
+// period: the game finishes at once and the other player wins, whatever the score. Otherwise
+// checks again at the earliest moment someone could forfeit. Enqueued by `startGame`.
+export const checkPresence = onTaskDispatched(
+  {
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 5 },
+    rateLimits: { maxConcurrentDispatches: 50 },
+  },
+  async (request) => {
+    const { appId, gameId } = request.data;
+    const gameRef = getGameRef(appId, gameId);
+    const result = await db.runTransaction(async (transaction) => {
+      const gameSnap = await transaction.get(gameRef);
+      const game = gameSnap.data();
+      if (!gameSnap.exists || game.status !== "playing" || isRace(game)) return null;
+
+      const presenceSnap = await transaction.get(getPresenceCollection(gameRef));
+      const lastSeen = Object.fromEntries(presenceSnap.docs.map((doc) => [doc.id, doc.data().lastSeen?.toMillis() ?? null]));
+      const humanIds = game.opponentType === "human" ? [game.player1Id, game.player2Id] : [game.player1Id];
+      const deadlines = humanIds.map((id) => ({
+        id,
+        deadline: getForfeitDeadline(lastSeen[id] ?? null, game.startTime.toMillis()),
+      }));
+
+      const absent = deadlines.find(({ deadline }) => deadline <= Date.now());
+      if (!absent) return { game, nextCheckAt: Math.min(...deadlines.map(({ deadline }) => deadline)) };
+      transaction.update(gameRef, {
+        status: "finished",
+        winnerId: absent.id === game.player1Id ? game.player2Id : game.player1Id,
+        forfeitedBy: absent.id,
+        finishedAt: Timestamp.now(),
+      });
+      return { forfeitedBy: absent.id };
+    });
+
+    if (result?.forfeitedBy) {
+      logger.log(`Game ${gameId} forfeited by ${result.forfeitedBy}.`);
+    } else if (result) {
+      await schedulePresenceCheck(appId, gameId, result.game.endTime, result.nextCheckAt);
+    }
+  }
+);
+
+// --- Spectators ---
+// Anyone other than the two players may watch a game. Each watcher has a
+// `spectators/{uid}` document while the game is open in their browser; the count shown
+// to everyone is kept on the game document.
+export const updateSpectatorCount = onDocumentWritten(
+  {
+    document: "artifacts/{appId}/public/data/games/{gameId}/spectators/{userId}",
+  },
+  async (event) => {
+    const { appId, gameId } = event.params;
+    const change = (event.data.after.exists ? 1 : 0) - (event.data.before.exists ? 1 : 0);
+    if (change === 0) return;
+    try {
+      await getGameRef(appId, gameId).update({ spectatorCount: FieldValue.increment(change) });
+    } catch (error) {
+      logger.warn("Could not update spectator count.", { appId, gameId, error: error.message });
+    }
+  }
+);
+
+// --- Rematches ---
+// Either player of a finished game may offer a rematch, kept on the finished game as
+// `rematch: { status: "pending"|"accepted"|"declined"|"expired", acceptedBy, expiresAt, gameId }`.
+// Once both players accept, a new game with the same settings is created with the player 1 and
+// player 2 roles swapped, and its id in `rematch.gameId` moves both clients into it. A player
+// leaving the results declines, and an offer nobody answers expires after REMATCH_TIMEOUT_MS.
+// Against a bot the rematch is created at once, and the human stays player 1 to start it.
+
+// Returns a player for `createGameData` with their current rating and public identity.
+const getRematchPlayer = async (transaction, appId, uid) => {
+  const profileSnap = await transaction.get(db.doc(`artifacts/${appId}/users/${uid}/profile/${uid}`));
+  const { rating, ratingDeviation } = getGlickoPlayer(profileSnap.data());
+  const { name, avatarSeed } = getPublicIdentity(profileSnap.data(), uid);
+  return { id: uid, rating, ratingDeviation, name, avatarSeed };
+};
+
+// Accepts (`accept: true`) or declines a rematch of a finished game.
+export const respondToRematch = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  const { appId, accept } = request.data;
+  let expiresAt = null; // Set when this call opens a new offer.
+
+  const rematch = await db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    if (!gameSnap.exists) {
+      throw new HttpsError("not-found", "Game not found.");
+    }
+    const game = gameSnap.data();
+    if (!getPlayerKey(game, uid)) {
+      throw new HttpsError("permission-denied", "You are not a player in this game.");
+    }
+    if (game.status !== "finished") {
+      throw new HttpsError("failed-precondition", "The game has not finished yet.");
+    }
+    if (isRace(game)) {
+      throw new HttpsError("failed-precondition", "Races cannot be rematched.");
+    }
+
+    const current = game.rematch;
+    if (current && current.status !== "pending") return current; // Already settled.
+    const now = Timestamp.now();
+    if (current && current.expiresAt.toMillis() <= now.toMillis()) {
+      transaction.update(gameRef, { "rematch.status": "expired" });
+      return { ...current, status: "expired" };
+    }
+    if (accept !== true) {
+      const declined = { acceptedBy: [], expiresAt: now, gameId: null, ...current, status: "declined" };
+      transaction.update(gameRef, { rematch: declined });
+      return declined;
+    }
+
+    const acceptedBy = [...new Set([...(current?.acceptedBy || []), uid])];
+    const bot = getBotProfile(game.opponentType);
+    if (!bot && acceptedBy.length < 2) {
+      const pending = {
+        status: "pending",
+        acceptedBy,
+        expiresAt: current?.expiresAt ?? Timestamp.fromMillis(now.toMillis() + REMATCH_TIMEOUT_MS),
+        gameId: null,
+      };
+      transaction.update(gameRef, { rematch: pending });
+      if (!current) expiresAt = pending.expiresAt;
+      return pending;
+    }
+
+    const newGameRef = gameRef.parent.doc();
+    const player1 = await getRematchPlayer(transaction, appId, bot ? game.player1Id : game.player2Id);
+    const player2 = bot
+      ? {
+        id: `BOT-${bot.level}-${randomUUID()}`,
+        rating: bot.rating,
+        ratingDeviation: BOT_RATING_DEVIATION,
+        name: bot.label,
+        avatarSeed: bot.id,
+      }
+      : await getRematchPlayer(transaction, appId, game.player1Id);
+    transaction.create(newGameRef, createGameData({
+      player1,
+      player2,
+      opponentType: game.opponentType,
+      visibility: game.visibility ?? "public",
+      settings: game.settings,
+      bestOf: game.bestOf ?? 1, // A series rematch is a new series of the same length.
+    }));
+    const accepted = { status: "accepted", acceptedBy, expiresAt: current?.expiresAt ?? now, gameId: newGameRef.id };
+    transaction.update(gameRef, { rematch: accepted });
+    logger.log(`Rematch of game ${gameRef.id} created as ${newGameRef.id}.`);
+    return accepted;
+  });
+
+  if (expiresAt) {
+    await getFunctions().taskQueue("expireRematch").enqueue(
+      { appId, gameId: gameRef.id },
+      { scheduleTime: expiresAt.toDate() }
+    );
+  }
+  return { status: rematch.status, gameId: rematch.gameId ?? null };
+});
+
+// Expires a rematch offer the opponent never answered.
+export const expireRematch = onTaskDispatched(
+  {
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 1 },
+    rateLimits: { maxConcurrentDispatches: 50 },
+  },
+  async (request) => {
+    const { appId, gameId } = request.data;
+    const gameRef = getGameRef(appId, gameId);
+    await db.runTransaction(async (transaction) => {
+      const gameSnap = await transaction.get(gameRef);
+      if (gameSnap.data()?.rematch?.status === "pending") {
+        transaction.update(gameRef, { "rematch.status": "expired" });
+      }
+    });
+  }
+);
+
+// --- Races ---
+// Races (see `shared/races.js`) are created, joined and left through these callables, since only
+// the server writes race documents. A race waits for racers until its host starts it with
+// `startGame`; from then on answers and the clock work as in any other game.
+
+// A racer's starting state, with their current rating and public identity.
+const createRacer = (profile, uid) => {
+  const { rating, ratingDeviation } = getGlickoPlayer(profile);
+  const { name, avatarSeed } = getPublicIdentity(profile, uid);
+  return {
+    name,
+    avatarSeed,
+    eloAtStart: rating,
+    deviationAtStart: ratingDeviation,
+    score: 0,
+    problemIndex: 0,
+    problem: null,
+    answerLength: null,
+  };
+};
+
+// Opens a public race with the caller as host and first racer.
+export const createRace = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "You must be signed in.");
+  }
+  const { appId, settings } = request.data || {};
+  if (typeof appId !== "string" || appId.length === 0 || appId.includes("/")) {
+    throw new HttpsError("invalid-argument", "A valid appId is required.");
+  }
+  const { uid } = request.auth;
+  const profileSnap = await db.doc(`artifacts/${appId}/users/${uid}/profile/${uid}`).get();
+  const gameRef = db.collection(`artifacts/${appId}/public/data/games`).doc();
+  await gameRef.set({
+    mode: "race",
+    opponentType: "race",
+    status: "waiting",
+    hostId: uid,
+    maxPlayers: RACE_MAX_PLAYERS,
+    playerIds: [uid],
+    players: { [uid]: createRacer(profileSnap.data(), uid) },
+    visibility: "public",
+    roomCode: null,
+    settings: normalizeGameSettings(settings || undefined),
+    bestOf: 1,
+    seriesId: null,
+    seriesGame: null,
+    startTime: null,
+    endTime: null,
+    winnerId: null,
+    standings: null,
+    eloCalculated: false,
+    createdAt: Timestamp.now(),
+  });
+  logger.log(`Race ${gameRef.id} opened by ${uid}.`);
+  return { gameId: gameRef.id };
+});
+
+// Takes a seat in a race that has not started yet. Joining twice is harmless.
+export const joinRace = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  const profileSnap = await db.doc(`artifacts/${request.data.appId}/users/${uid}/profile/${uid}`).get();
+  await db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    if (!gameSnap.exists || !isRace(gameSnap.data())) {
+      throw new HttpsError("not-found", "Race not found.");
+    }
+    const game = gameSnap.data();
+    if (game.playerIds.includes(uid)) return;
+    if (game.status !== "waiting") {
+      throw new HttpsError("failed-precondition", "The race has already started.");
+    }
+    if (game.playerIds.length >= game.maxPlayers) {
+      throw new HttpsError("resource-exhausted", "The race is full.");
+    }
+    transaction.update(gameRef, {
+      playerIds: FieldValue.arrayUnion(uid),
+      [`players.${uid}`]: createRacer(profileSnap.data(), uid),
+    });
+  });
+  return { joined: true };
+});
+
+// Gives up a seat before the race starts. The host's role passes to the longest-waiting racer,
+// and a race nobody is left in is deleted.
+export const leaveRace = onCall(async (request) => {
+  const { uid, gameRef } = getCallContext(request);
+  await db.runTransaction(async (transaction) => {
+    const gameSnap = await transaction.get(gameRef);
+    const game = gameSnap.data();
+    if (!isRace(game) || game.status !== "waiting" || !game.playerIds.includes(uid)) return;
+    const playerIds = game.playerIds.filter((id) => id !== uid);
+    if (playerIds.length === 0) {
+      transaction.delete(gameRef);
+      return;
+    }
+    transaction.update(gameRef, {
+      playerIds,
+      [`players.${uid}`]: FieldValue.delete(),
+      hostId: game.hostId === uid ? playerIds[0] : game.hostId,
+    });
+  });
+  return { left: true };
+});
+
+// Rates a finished race (see `rateRace`) and records it in every racer's match history, where
+// the "opponent" fields describe the rest of the field.
+const settleRace = async ({ appId, gameRef, game }) => {
+  const standings = game.standings ?? getRaceStandings(game);
+  const profileRefs = standings.map(({ uid }) => db.doc(`artifacts/${appId}/users/${uid}/profile/${uid}`));
+  const profileSnaps = await db.getAll(...profileRefs);
+  const now = Date.now();
+  const ratings = rateRace(
+    standings.map(({ place }, index) => ({ profile: profileSnaps[index].data(), place })),
+    now
+  );
+  const { seed } = (await getGameStateRef(gameRef).get()).data();
+  const finishedAt = game.finishedAt?.toMillis() ?? now;
+
+  const batch = db.batch();
+  const newElos = {};
+  standings.forEach(({ uid, score, place }, index) => {
+    const others = standings.filter((entry) => entry.uid !== uid);
+    let result = "loss";
+    if (place === 1) result = others.some((entry) => entry.place === 1) ? "draw" : "win";
+    newElos[`players.${uid}.newElo`] = ratings[index].elo;
+    batch.set(
+      profileRefs[index],
+      { ...ratings[index], ratedGames: FieldValue.increment(1), lastUpdated: now },
+      { merge: true }
+    );
+    batch.set(db.doc(`artifacts/${appId}/users/${uid}/matches/${gameRef.id}`), {
+      gameId: gameRef.id,
+      finishedAt,
+      opponentType: "race",
+      opponentId: null,
+      opponentName: null,
+      opponentAvatarSeed: null,
+      opponentRating: Math.round(
+        others.reduce((sum, entry) => sum + game.players[entry.uid].eloAtStart, 0) / others.length
+      ),
+      score,
+      opponentScore: Math.max(...others.map((entry) => entry.score)),
+      result,
+      place,
+      racers: standings.length,
+      ratingBefore: getGlickoPlayer(profileSnaps[index].data()).rating,
+      ratingAfter: ratings[index].elo,
+      settings: normalizeGameSettings(game.settings),
+      solvedByOperation: countSolvedByOperation(game.settings, seed, score),
+      seriesId: null,
+    });
+  });
+  batch.update(gameRef, { eloCalculated: true, ...newElos });
+  await batch.commit();
+};
+
+// --- Matchmaking ---
+// Players looking for an opponent write `matchQueue/{uid}` with status "searching". The server
+// stamps their rating and public identity from their profile, pairs them by rating (see `shared/matchmaking.js`),
+// creates the game and marks both entries "matched" with its id, which moves both clients into
+// the game room. Cancelling deletes the entry; an unmatched search ends as "timedOut".
+const getQueueCollection = (appId) => db.collection(`artifacts/${appId}/public/data/matchQueue`);
+
+// Schedules the next matchmaking pass for one search, so its window widens even when nobody
+// else joins the queue. `joinedAt` tells searches of the same user apart.
+const scheduleMatchmakingTick = async (appId, userId, joinedAt, tick) => {
+  try {
+    await getFunctions().taskQueue("matchmakingTick").enqueue(
+      { appId, userId, joinedAt, tick },
+      { scheduleTime: new Date(Date.now() + MATCH_WINDOW_STEP_MS), id: `${userId}-${joinedAt}-${tick}` }
+    );
+  } catch (error) {
+    if (error.code !== "functions/task-already-exists") throw error;
+  }
+};
+
+// Pairs everyone currently searching in an app and creates their games. Each pair is committed in
+// a transaction that re-checks both entries, so concurrent passes never match a player twice.
+const pairQueuedPlayers = async (appId) => {
+  const queueSnap = await getQueueCollection(appId).where("status", "==", "searching").get();
+  const entries = queueSnap.docs
+    .map((entrySnap) => ({ id: entrySnap.id, ...entrySnap.data() }))
+    .filter((entry) => Number.isFinite(entry.rating) && entry.joinedAt);
+  const pairs = findMatches(entries.map((entry) => ({ ...entry, joinedAt: entry.joinedAt.toMillis() })));
+
+  for (const [first, second] of pairs) {
+    const firstRef = getQueueCollection(appId).doc(first.id);
+    const secondRef = getQueueCollection(appId).doc(second.id);
+    const gameRef = db.collection(`artifacts/${appId}/public/data/games`).doc();
+    await db.runTransaction(async (transaction) => {
+      const [firstSnap, secondSnap] = await Promise.all([transaction.get(firstRef), transaction.get(secondRef)]);
+      // `first` and `second` carry `joinedAt` in milliseconds (see above).
+      if (!isSameSearch(firstSnap.data(), first.joinedAt) || !isSameSearch(secondSnap.data(), second.joinedAt)) return;
+
+      // The player who waited longer is player 1 and starts the game.
+      const toPlayer = ({ id, rating, ratingDeviation, name, avatarSeed }) =>
+        ({ id, rating, ratingDeviation, name: name ?? null, avatarSeed: avatarSeed ?? id });
+      transaction.create(gameRef, createGameData({
+        player1: toPlayer(first),
+        player2: toPlayer(second),
+      }));
+      transaction.update(firstRef, { status: "matched", gameId: gameRef.id });
+      transaction.update(secondRef, { status: "matched", gameId: gameRef.id });
+      logger.log(`Matched ${first.id} (${first.rating}) with ${second.id} (${second.rating}) in game ${gameRef.id}.`);
+    });
+  }
+};
+
+// Runs when a player starts a search: records their current rating on the entry, tries to pair
+// them straight away and, if nobody fits yet, starts the tick chain that widens their window.
+export const joinMatchQueue = onDocumentWritten(
+  {
+    document: "artifacts/{appId}/public/data/matchQueue/{userId}",
+  },
+  async (event) => {
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    // Only a new search: the server's own writes to the entry land here too, and clients cannot write `joinedAt`.
+    if (!after || after.status !== "searching" || after.joinedAt) return;
+
+    const { appId, userId } = event.params;
+    const profileSnap = await db.doc(`artifacts/${appId}/users/${userId}/profile/${userId}`).get();
+    const { rating, ratingDeviation } = getGlickoPlayer(profileSnap.data());
+    const { name, avatarSeed } = getPublicIdentity(profileSnap.data(), userId);
+    // `joinedAt` is set by the server, so the client cannot jump the queue or extend its window.
+    const joinedAt = Timestamp.now();
+    await event.data.after.ref.update({ rating, ratingDeviation, name, avatarSeed, joinedAt });
+
+    await pairQueuedPlayers(appId);
+    if (isSameSearch((await event.data.after.ref.get()).data(), joinedAt.toMillis())) {
+      await scheduleMatchmakingTick(appId, userId, joinedAt.toMillis(), 1);
+    }
+  }
+);
+
+// Re-runs pairing for a search that is still waiting, and times it out after MATCH_TIMEOUT_MS.
+export const matchmakingTick = onTaskDispatched(
+  {
+    retryConfig: { maxAttempts: 3, minBackoffSeconds: 1 },
+    rateLimits: { maxConcurrentDispatches: 50 },
+  },
+  async (request) => {
+    const { appId, userId, joinedAt, tick } = request.data;
+    const entryRef = getQueueCollection(appId).doc(userId);
+    const entrySnap = await entryRef.get();
+    if (!isSameSearch(entrySnap.data(), joinedAt)) return; // Matched, cancelled or replaced by a newer search.
+
+    if (Date.now() - joinedAt >= MATCH_TIMEOUT_MS) {
+      await db.runTransaction(async (transaction) => {
+        if (isSameSearch((await transaction.get(entryRef)).data(), joinedAt)) {
+          transaction.update(entryRef, { status: "timedOut" });
+        }
+      });
+      return;
+    }
+
+    await pairQueuedPlayers(appId);
+    await scheduleMatchmakingTick(appId, userId, joinedAt, tick + 1);
+  }
+);
+
+// --- Match History ---
+// Each finished game is recorded under every human player as `users/{uid}/matches/{gameId}`,
+// seen from that player's side, so their history and stats need no query over all games.
+
+// Counts the problems a player solved per operation. A player's problem index only moves on a
+// correct answer, so the first `solved` problems of the game's sequence are exactly those solved.
+const countSolvedByOperation = (settings, seed, solved) => {
+  const counts = Object.fromEntries(
+    Object.entries(normalizeGameSettings(settings).operations)
+      .filter(([, operation]) => operation.enabled)
+      .map(([key]) => [key, 0])
+  );
+  for (let index = 0; index < solved; index++) {
+    counts[generateSeededProblem(settings, seed, index).operation]++;
+  }
+  return counts;
 };
 
-const calculateNewElo = (eloA, eloB, scoreA, kFactor) => {
-  const expectedScoreA = getExpectedScore(eloA, eloB);
-  const newEloA = eloA + kFactor * (scoreA - expectedScoreA);
-  const newEloB = eloB + kFactor * ((1 - scoreA) - (1 - expectedScoreA));
-  return { newEloA: Math.round(newEloA), newEloB: Math.round(newEloB) };
+// Builds one player's match-history entry. `me` and `opponent` are "player1" or "player2".
+// Both ratings before the game come from the server (profiles or the bot table), never from the
+// client-written `*EloAtStart` fields.
+const createMatchEntry = ({ gameId, game, me, opponent, seed, ratingBefore, ratingAfter, opponentRating, finishedAt }) => {
+  const score = game[`${me}Score`];
+  const opponentScore = game[`${opponent}Score`];
+  let result = "draw";
+  if (score > opponentScore) result = "win";
+  if (score < opponentScore) result = "loss";
+  if (game.forfeitedBy) result = game.forfeitedBy === game[`${me}Id`] ? "loss" : "win";
+  return {
+    gameId,
+    finishedAt,
+    opponentType: game.opponentType,
+    opponentId: game[`${opponent}Id`],
+    opponentName: game[`${opponent}Name`] ?? null,
+    opponentAvatarSeed: game[`${opponent}AvatarSeed`] ?? null,
+    opponentRating,
+    score,
+    opponentScore,
+    result,
+    forfeit: !!game.forfeitedBy,
+    ratingBefore,
+    ratingAfter,
+    settings: normalizeGameSettings(game.settings),
+    solvedByOperation: countSolvedByOperation(game.settings, seed, score),
+    seriesId: game.seriesId ?? null,
+  };
+};
+
+// --- Series ---
+// A best-of-N series (`series/{seriesId}`, named after its first game) is created when its first
+// game starts. `calculateEloOnGameEnd` records each finished game on it and creates the next game,
+// with the roles swapped, until the series is decided (see `shared/series.js`). Ratings change
+// once, on the series result: the players' game wins are rated like the scores of a single game.
+// A series whose next game is never started is marked "abandoned" (see `cleanUpGames`).
+const getSeriesRef = (appId, seriesId) => db.doc(`artifacts/${appId}/public/data/series/${seriesId}`);
+
+const createSeriesData = (gameId, game) => ({
+  bestOf: game.bestOf,
+  playerIds: [game.player1Id, game.player2Id],
+  players: {
+    [game.player1Id]: { name: game.player1Name ?? null, avatarSeed: game.player1AvatarSeed ?? game.player1Id },
+    [game.player2Id]: { name: game.player2Name ?? null, avatarSeed: game.player2AvatarSeed ?? game.player2Id },
+  },
+  wins: { [game.player1Id]: 0, [game.player2Id]: 0 },
+  games: [],
+  currentGameId: gameId,
+  status: "playing",
+  winnerId: null,
+  ratingChanges: null,
+  settings: game.settings,
+  createdAt: Date.now(),
+});
+
+// Records a finished series game. Returns the update for the series, the next game to create
+// unless the series is over and, once it is, both players' new profile ratings by seat in this game.
+const settleSeriesGame = async ({ appId, gameRef, game, player1Profile, player2Profile, now }) => {
+  const seriesRef = getSeriesRef(appId, game.seriesId);
+  const series = (await seriesRef.get()).data();
+  const seriesUpdate = recordSeriesGame(series, {
+    gameId: gameRef.id,
+    winnerId: game.winnerId,
+    scores: { [game.player1Id]: game.player1Score, [game.player2Id]: game.player2Score },
+  });
+  const profiles = { [game.player1Id]: player1Profile, [game.player2Id]: player2Profile };
+
+  if (seriesUpdate.status === "finished") {
+    const [a, b] = series.playerIds;
+    const rated = rateGame({
+      player1: profiles[a],
+      player2: profiles[b],
+      opponentType: "human",
+      player1Score: seriesUpdate.wins[a] || 0,
+      player2Score: seriesUpdate.wins[b] || 0,
+      now,
+    });
+    const byId = { [a]: rated.player1, [b]: rated.player2 };
+    seriesUpdate.ratingChanges = Object.fromEntries(
+      [a, b].map((id) => [id, { before: getGlickoPlayer(profiles[id]).rating, after: byId[id].elo }])
+    );
+    return {
+      seriesRef,
+      seriesUpdate,
+      ratings: { player1: byId[game.player1Id], player2: byId[game.player2Id] },
+      nextGameRef: null,
+    };
+  }
+
+  const toPlayer = (key) => {
+    const { rating, ratingDeviation } = getGlickoPlayer(profiles[game[`${key}Id`]]);
+    return { id: game[`${key}Id`], rating, ratingDeviation, name: game[`${key}Name`], avatarSeed: game[`${key}AvatarSeed`] };
+  };
+  const nextGameRef = gameRef.parent.doc();
+  seriesUpdate.currentGameId = nextGameRef.id;
+  return {
+    seriesRef,
+    seriesUpdate,
+    ratings: null,
+    nextGameRef,
+    nextGame: createGameData({
+      player1: toPlayer("player2"),
+      player2: toPlayer("player1"),
+      visibility: game.visibility ?? "public",
+      settings: game.settings,
+      bestOf: game.bestOf,
+      seriesId: game.seriesId,
+      seriesGame: game.seriesGame + 1,
+    }),
+  };
 };
 
 // --- Main Cloud Function ---
-exports.calculateEloOnGameEnd = onDocumentUpdated(
+export const calculateEloOnGameEnd = onDocumentUpdated(
   {
     document: "artifacts/{appId}/public/data/games/{gameId}",
   },
@@ -41,7 +1141,17 @@ exports.calculateEloOnGameEnd = onDocumentUpdated(
     }
 
     const { gameId, appId } = event.params;
-    logger.log(`Game ${gameId} finished. Calculating Elo.`);
+    logger.log(`Game ${gameId} finished. Calculating ratings.`);
+
+    if (isRace(afterData)) {
+      try {
+        await settleRace({ appId, gameRef: event.data.after.ref, game: afterData });
+        logger.log(`Ratings saved for race ${gameId}.`);
+      } catch (error) {
+        logger.error("Error rating race:", error);
+      }
+      return;
+    }
 
     const {
       player1Id,
@@ -51,9 +1161,6 @@ exports.calculateEloOnGameEnd = onDocumentUpdated(
       opponentType,
     } = afterData;
 
-    const STARTING_ELO = 200;
-    const ELO_K_FACTOR = 32;
-
     try {
       const player1ProfileRef = db.doc(
         `artifacts/${appId}/users/${player1Id}/profile/${player1Id}`
@@ -67,48 +1174,112 @@ exports.calculateEloOnGameEnd = onDocumentUpdated(
           : null;
 
       const player1Snap = await player1ProfileRef.get();
-      let player1CurrentElo = player1Snap.exists
-        ? player1Snap.data().elo
-        : STARTING_ELO;
-      let player2CurrentElo = STARTING_ELO;
-
-      if (opponentType.startsWith("bot")) {
-        player2CurrentElo =
-          opponentType === "bot-1000" ? 1000 : 2000;
-      } else if (player2ProfileRef) {
+      let player2Profile;
+      if (player2ProfileRef) {
         const player2Snap = await player2ProfileRef.get();
-        player2CurrentElo = player2Snap.exists
-          ? player2Snap.data().elo
-          : STARTING_ELO;
+        player2Profile = player2Snap.data();
       }
 
-      let scoreA = 0.5;
-      if (player1Score > player2Score) scoreA = 1;
-      if (player2Score > player1Score) scoreA = 0;
+      // Bots have a fixed rating from the shared table and are never re-rated. Series games are
+      // only rated when the series ends, and games against an unknown opponent type never are
+      // (`ratings` stays null).
+      const now = Date.now();
+      const gameRef = event.data.after.ref;
+      const player1RatingBefore = getGlickoPlayer(player1Snap.data()).rating;
+      const player2RatingBefore = opponentType === "human"
+        ? getGlickoPlayer(player2Profile).rating
+        : getBotRating(opponentType);
+      const series = afterData.seriesId
+        ? await settleSeriesGame({
+          appId,
+          gameRef,
+          game: afterData,
+          player1Profile: player1Snap.data(),
+          player2Profile,
+          now,
+        })
+        : null;
+      const ratings = series
+        ? series.ratings
+        : rateGame({
+          player1: player1Snap.data(),
+          player2: player2Profile,
+          opponentType,
+          player1Score,
+          player2Score,
+          forfeitedBy: afterData.forfeitedBy ? getPlayerKey(afterData, afterData.forfeitedBy) : null,
+          now,
+        });
+      const newEloA = ratings ? ratings.player1.elo : player1RatingBefore;
+      const newEloB = ratings ? ratings.player2.elo : player2RatingBefore;
 
-      const { newEloA, newEloB } = calculateNewElo(
-        player1CurrentElo,
-        player2CurrentElo,
-        scoreA,
-        ELO_K_FACTOR
-      );
+      // Without a human opponent, a game on preset settings can set a high score (see `updateLeaderboards`).
+      const presetId = opponentType === "human" ? null : getGamePresetId(afterData.settings);
+      const player1BestScores = player1Snap.data()?.bestScores || {};
+      const isNewBest = presetId && player1Score > (player1BestScores[presetId] ?? -1);
 
       const batch = db.batch();
-      batch.set(
-        player1ProfileRef,
-        { elo: newEloA, lastUpdated: Date.now() },
-        { merge: true }
-      );
+      if (ratings) {
+        batch.set(
+          player1ProfileRef,
+          {
+            ...ratings.player1,
+            ratedGames: FieldValue.increment(1),
+            ...(isNewBest ? { bestScores: { [presetId]: player1Score } } : {}),
+            lastUpdated: now,
+          },
+          { merge: true }
+        );
+      }
 
-      if (opponentType === "human" && player2ProfileRef) {
+      if (ratings && opponentType === "human" && player2ProfileRef) {
         batch.set(
           player2ProfileRef,
-          { elo: newEloB, lastUpdated: Date.now() },
+          { ...ratings.player2, ratedGames: FieldValue.increment(1), lastUpdated: now },
           { merge: true }
         );
       }
 
-      const gameRef = event.data.after.ref;
+      // Match history, written in the same batch so it always agrees with the profile ratings.
+      const stateSnap = await getGameStateRef(gameRef).get();
+      const { seed } = stateSnap.data();
+      const finishedAt = afterData.finishedAt?.toMillis() ?? now;
+      batch.set(
+        db.doc(`artifacts/${appId}/users/${player1Id}/matches/${gameId}`),
+        createMatchEntry({
+          gameId,
+          game: afterData,
+          me: "player1",
+          opponent: "player2",
+          seed,
+          ratingBefore: player1RatingBefore,
+          ratingAfter: newEloA,
+          opponentRating: player2RatingBefore,
+          finishedAt,
+        })
+      );
+      if (opponentType === "human") {
+        batch.set(
+          db.doc(`artifacts/${appId}/users/${player2Id}/matches/${gameId}`),
+          createMatchEntry({
+            gameId,
+            game: afterData,
+            me: "player2",
+            opponent: "player1",
+            seed,
+            ratingBefore: player2RatingBefore,
+            ratingAfter: newEloB,
+            opponentRating: player1RatingBefore,
+            finishedAt,
+          })
+        );
+      }
+
+      if (series) {
+        batch.update(series.seriesRef, series.seriesUpdate);
+        if (series.nextGameRef) batch.create(series.nextGameRef, series.nextGame);
+      }
+
       batch.update(gameRef, {
         eloCalculated: true,
         player1NewElo: newEloA,
@@ -122,3 +1293,190 @@ exports.calculateEloOnGameEnd = onDocumentUpdated(
     }
   }
 );
+
+// --- Leaderboards ---
+// Each profile is mirrored into a public `leaderboardEntries/{uid}` document (profiles are private),
+// and `updateLeaderboards` periodically ranks all entries. It publishes the top of every board in
+// `leaderboards/{boardId}` and stores each player's own ranks on their entry, so clients read a
+// couple of documents instead of every profile.
+const getLeaderboardEntriesCollection = (appId) =>
+  db.collection(`artifacts/${appId}/public/data/leaderboardEntries`);
+
+// Keeps a player's leaderboard entry in step with their profile (ratings, name, avatar, best scores).
+export const syncLeaderboardEntry = onDocumentWritten(
+  {
+    document: "artifacts/{appId}/users/{userId}/profile/{profileId}",
+  },
+  async (event) => {
+    const { appId, userId, profileId } = event.params;
+    if (profileId !== userId || !event.data.after.exists) return;
+    const profile = event.data.after.data();
+    const { name, avatarSeed } = getPublicIdentity(profile, userId);
+    await getLeaderboardEntriesCollection(appId).doc(userId).set({
+      uid: userId,
+      name,
+      avatarSeed,
+      elo: getGlickoPlayer(profile).rating,
+      provisional: profile.provisional ?? false,
+      ratedGames: profile.ratedGames ?? 0,
+      lastRatedAt: profile.lastRatedAt ?? null,
+      bestScores: profile.bestScores ?? {},
+    }, { merge: true });
+  }
+);
+
+// Ranks every player on every board, for each app that has leaderboard entries.
+export const updateLeaderboards = onSchedule("every 15 minutes", async () => {
+  const entriesSnap = await db.collectionGroup("leaderboardEntries").get();
+  const entriesByApp = {};
+  for (const entrySnap of entriesSnap.docs) {
+    const appId = entrySnap.ref.path.split("/")[1]; // artifacts/{appId}/public/data/leaderboardEntries/{uid}
+    (entriesByApp[appId] = entriesByApp[appId] || []).push({ ...entrySnap.data(), uid: entrySnap.id });
+  }
+
+  const now = Date.now();
+  for (const [appId, entries] of Object.entries(entriesByApp)) {
+    const ranksByUid = Object.fromEntries(entries.map((entry) => [entry.uid, {}]));
+    const writer = db.bulkWriter();
+
+    for (const [boardId, board] of Object.entries(LEADERBOARDS)) {
+      const ranked = rankEntries(board, entries, now);
+      ranked.forEach((entry) => {
+        ranksByUid[entry.uid][boardId] = { rank: entry.rank, value: entry.value };
+      });
+      writer.set(db.doc(`artifacts/${appId}/public/data/leaderboards/${boardId}`), {
+        boardId,
+        total: ranked.length,
+        updatedAt: now,
+        entries: ranked.slice(0, LEADERBOARD_SIZE).map(({ uid, name, avatarSeed, provisional, value, rank }) =>
+          ({ uid, name, avatarSeed, provisional: Boolean(provisional), value, rank })),
+      });
+    }
+
+    // Only rewrite entries whose ranks moved.
+    for (const entry of entries) {
+      const ranks = ranksByUid[entry.uid];
+      const hasChanged = Object.keys(LEADERBOARDS).some((boardId) =>
+        ranks[boardId]?.rank !== entry.ranks?.[boardId]?.rank ||
+        ranks[boardId]?.value !== entry.ranks?.[boardId]?.value);
+      if (hasChanged) {
+        writer.update(getLeaderboardEntriesCollection(appId).doc(entry.uid), { ranks, ranksUpdatedAt: now });
+      }
+    }
+    await writer.close();
+    logger.log(`Ranked ${entries.length} players for ${appId}.`);
+  }
+});
+
+// --- Cleanup ---
+// Games nobody starts would otherwise stay in the lobby forever, and finished games keep their
+// replay and telemetry indefinitely.
+
+// A game timestamp in milliseconds. `createdAt` and `readyAt` are server times (the rules require
+// `request.time`); games from before that stored `Date.now()` numbers.
+const toMillis = (value) => (typeof value === "number" ? value : value?.toMillis() ?? 0);
+
+const getRoomCodeRef = (appId, code) => db.doc(`artifacts/${appId}/public/data/roomCodes/${code}`);
+
+// A user's open waiting games: two-player games they created and races they host, oldest first.
+const getWaitingGames = async (gamesRef, uid) => {
+  const [created, hosted] = await Promise.all([
+    gamesRef.where("player1Id", "==", uid).where("status", "==", "waiting").get(),
+    gamesRef.where("hostId", "==", uid).where("status", "==", "waiting").get(),
+  ]);
+  return [...created.docs, ...hosted.docs]
+    .sort((a, b) => toMillis(a.data().createdAt) - toMillis(b.data().createdAt));
+};
+
+// Whether a game can still be closed as unwanted: nobody but its creator has joined it yet.
+const isUnjoined = (game) =>
+  game.status === "waiting" && (isRace(game) ? game.playerIds.length === 1 : !game.player2Id);
+
+// Keeps each user to MAX_WAITING_GAMES_PER_USER waiting games: opening another one deletes their
+// oldest, together with its room code. Each game is checked again in a transaction before it is
+// deleted, so a game someone joins in the meantime (or a race with other racers) is left alone.
+export const limitWaitingGames = onDocumentCreated(
+  "artifacts/{appId}/public/data/games/{gameId}",
+  async (event) => {
+    const game = event.data?.data();
+    if (!game || game.status !== "waiting") return;
+    const { appId } = event.params;
+    const creatorId = isRace(game) ? game.hostId : game.player1Id;
+    const waitingGames = await getWaitingGames(db.collection(`artifacts/${appId}/public/data/games`), creatorId);
+    const excess = waitingGames.slice(0, Math.max(0, waitingGames.length - MAX_WAITING_GAMES_PER_USER.value()));
+
+    let closed = 0;
+    for (const gameSnap of excess) {
+      const deleted = await db.runTransaction(async (transaction) => {
+        const currentSnap = await transaction.get(gameSnap.ref);
+        if (!currentSnap.exists || !isUnjoined(currentSnap.data())) return false;
+        transaction.delete(gameSnap.ref);
+        const { roomCode } = currentSnap.data();
+        if (roomCode) transaction.delete(getRoomCodeRef(appId, roomCode));
+        return true;
+      });
+      if (deleted) {
+        await db.recursiveDelete(gameSnap.ref); // Subcollections left behind, such as spectators.
+        closed++;
+      }
+    }
+    if (closed > 0) logger.log(`Closed ${closed} older waiting games of ${creatorId}.`);
+  }
+);
+
+// Deletes games that were never started within the idle limits, and finished games past the
+// retention period together with their subcollections (replay, telemetry, private state) and room
+// codes. A waiting game's idle time counts from `createdAt`, a ready game's from `readyAt`. An
+// abandoned series game also marks its series as abandoned, and the players' match-history entries
+// of a deleted finished game are kept but marked as having no replay any more.
+export const cleanUpGames = onSchedule("every 15 minutes", async () => {
+  const now = Date.now();
+  const idleLimitsMs = {
+    waiting: WAITING_GAME_TTL_MINUTES.value() * 60 * 1000,
+    ready: READY_GAME_TTL_MINUTES.value() * 60 * 1000,
+  };
+  const finishedBefore = Timestamp.fromMillis(now - FINISHED_GAME_RETENTION_DAYS.value() * 24 * 60 * 60 * 1000);
+
+  const appRefs = await db.collection("artifacts").listDocuments();
+  for (const appRef of appRefs) {
+    const appId = appRef.id;
+    const gamesRef = db.collection(`artifacts/${appId}/public/data/games`);
+    // Only single-field filters, so no composite indexes are needed. Idle games are few.
+    const [openSnap, finishedSnap] = await Promise.all([
+      gamesRef.where("status", "in", ["waiting", "ready"]).get(),
+      gamesRef.where("finishedAt", "<", finishedBefore).limit(CLEANUP_BATCH_SIZE).get(),
+    ]);
+    const idleGames = openSnap.docs.filter((gameSnap) => {
+      const { status, createdAt, readyAt } = gameSnap.data();
+      const idleSince = status === "ready" ? readyAt ?? createdAt : createdAt;
+      return now - toMillis(idleSince) > idleLimitsMs[status];
+    });
+    if (idleGames.length === 0 && finishedSnap.empty) continue;
+
+    const writer = db.bulkWriter();
+    for (const gameSnap of idleGames) {
+      const { seriesId } = gameSnap.data();
+      if (seriesId) {
+        writer.update(getSeriesRef(appId, seriesId), { status: "abandoned", currentGameId: null })
+          .catch((error) => logger.warn(`Could not mark series ${seriesId} as abandoned:`, error));
+      }
+    }
+    for (const gameSnap of finishedSnap.docs) {
+      const game = gameSnap.data();
+      if (isRace(game)) continue; // Races record no replay (see `applyAnswer`), so offer none.
+      const humanIds = game.opponentType === "human" ? [game.player1Id, game.player2Id] : [game.player1Id];
+      for (const uid of humanIds) {
+        writer.update(db.doc(`artifacts/${appId}/users/${uid}/matches/${gameSnap.id}`), { replayAvailable: false })
+          .catch((error) => logger.warn(`Could not update match ${gameSnap.id} of ${uid}:`, error));
+      }
+    }
+    const deletedGames = [...idleGames, ...finishedSnap.docs];
+    for (const gameSnap of deletedGames) {
+      const { roomCode } = gameSnap.data();
+      if (roomCode) writer.delete(getRoomCodeRef(appId, roomCode));
+    }
+    await Promise.all(deletedGames.map((gameSnap) => db.recursiveDelete(gameSnap.ref, writer)));
+    await writer.close();
+    logger.log(`Deleted ${idleGames.length} idle and ${finishedSnap.size} finished games for ${appId}.`);
+  }
+});
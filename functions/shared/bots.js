@@ -0,0 +1,161 @@
+// functions/shared/bots.js
+//
+// Bot skill model shared by the web client (lobby list, bot ratings) and the
+// Cloud Functions (bot play). Each bot level answers with a solve time that
+// depends on the problem's operation and operand sizes, with a random spread
+// and an occasional wrong answer. A bot's nominal rating is not hand-picked:
+// it is derived from the score its model is expected to reach.
+
+import { DEFAULT_GAME_SETTINGS, createSeededRandom, generateSeededProblem } from "./problems.js";
+
+// --- Constants ---
+// Rating scale anchor: a player averaging REFERENCE_SCORE problems in a default
+// 120-second game is rated REFERENCE_RATING, and every doubling of the score is
+// worth RATING_PER_DOUBLING points.
+const REFERENCE_SCORE = 30;
+const REFERENCE_RATING = 1000;
+const RATING_PER_DOUBLING = 600;
+
+// Relative effort per operation, applied to the operand digit counts (see `getProblemDifficulty`).
+const OPERATION_WEIGHTS = {
+  addition: 1,
+  subtraction: 1.3,
+  multiplication: 1.6,
+  division: 1.9,
+};
+
+// Skill parameters per bot level:
+// - baseMs: Time to read any problem and react.
+// - unitMs: Time per unit of problem difficulty.
+// - typingMs: Time to type each digit of the answer.
+// - spread: Standard deviation of the log-normal noise on each solve time.
+// - errorRate: Chance of typing a wrong answer first, which then costs `correctionMs` to fix.
+const BOT_SKILLS = {
+  400: { baseMs: 2180, unitMs: 1140, typingMs: 320, spread: 0.45, errorRate: 0.12, correctionMs: 1640 },
+  800: { baseMs: 1560, unitMs: 660, typingMs: 250, spread: 0.4, errorRate: 0.09, correctionMs: 1150 },
+  1000: { baseMs: 1290, unitMs: 500, typingMs: 210, spread: 0.38, errorRate: 0.08, correctionMs: 940 },
+  1200: { baseMs: 1060, unitMs: 380, typingMs: 180, spread: 0.35, errorRate: 0.07, correctionMs: 760 },
+  1600: { baseMs: 710, unitMs: 210, typingMs: 130, spread: 0.3, errorRate: 0.05, correctionMs: 570 },
+  2000: { baseMs: 480, unitMs: 120, typingMs: 100, spread: 0.25, errorRate: 0.04, correctionMs: 410 },
+  2400: { baseMs: 300, unitMs: 70, typingMs: 70, spread: 0.2, errorRate: 0.03, correctionMs: 300 },
+};
+
+// --- Utility Functions ---
+const digitCount = (n) => String(Math.abs(n)).length;
+
+// Standard normal sample (Box-Muller).
+const randomGaussian = (random) => {
+  const u = 1 - random(); // (0, 1], keeps log() finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Estimates how hard a problem is to solve mentally, in "digit operations".
+ * Grows with the operand digit counts and is weighted by operation, so 7 + 8
+ * scores 1 while 936 / 12 scores about 11.
+ * @param {{operation: string, operands: number[]}} problem - A problem from `generateProblem`.
+ * @returns {number} The difficulty (at least 1).
+ */
+export const getProblemDifficulty = ({ operation, operands: [a, b] }) => {
+  const weight = OPERATION_WEIGHTS[operation] || 1;
+  if (operation === "addition" || operation === "subtraction") {
+    return weight * (digitCount(a) + digitCount(b) - 1);
+  }
+  return weight * digitCount(a) * digitCount(b);
+};
+
+/**
+ * Samples how a bot attempts a problem: how long it takes and whether it slips up.
+ * @param {object} bot - A bot profile from `BOT_PROFILES`.
+ * @param {object} problem - A problem from `generateProblem`.
+ * @param {function} [random=Math.random] - Source of floats in [0, 1).
+ * @returns {{solveMs: number, mistake: boolean}} Time until the (first) answer is typed, and
+ *   whether that answer is wrong.
+ */
+export const sampleBotAttempt = (bot, problem, random = Math.random) => {
+  const { baseMs, unitMs, typingMs, spread, errorRate } = bot.skill;
+  const meanMs = baseMs + unitMs * getProblemDifficulty(problem) + typingMs * digitCount(problem.answer);
+  const solveMs = Math.round(meanMs * Math.exp(spread * randomGaussian(random) - (spread * spread) / 2));
+  return { solveMs: Math.max(200, solveMs), mistake: random() < errorRate };
+};
+
+/**
+ * Samples how long a bot takes to fix a wrong answer.
+ * @param {object} bot - A bot profile from `BOT_PROFILES`.
+ * @param {function} [random=Math.random] - Source of floats in [0, 1).
+ * @returns {number} Milliseconds until the corrected answer is typed.
+ */
+export const sampleBotCorrection = (bot, random = Math.random) =>
+  Math.round(bot.skill.correctionMs * (0.5 + random()));
+
+/**
+ * Returns a plausible wrong answer with the same number of digits, as a slip of the finger would.
+ * @param {number} answer - The correct answer.
+ * @returns {number} A different number of the same length.
+ */
+export const getWrongAnswer = (answer) => {
+  const wrong = answer % 10 === 9 ? answer - 1 : answer + 1;
+  return digitCount(wrong) === digitCount(answer) ? wrong : answer - 1;
+};
+
+/**
+ * Estimates a bot's average score by simulating games on a fixed seed, so the
+ * result is the same on every machine.
+ * @param {object} skill - Skill parameters (see `BOT_SKILLS`).
+ * @param {object} [settings=DEFAULT_GAME_SETTINGS] - Game settings to simulate.
+ * @param {number} [games=20] - Number of simulated games.
+ * @returns {number} The average number of problems solved per game.
+ */
+export const estimateBotScore = (skill, settings = DEFAULT_GAME_SETTINGS, games = 20) => {
+  const bot = { skill };
+  const random = createSeededRandom(20240601);
+  let total = 0;
+  for (let game = 0; game < games; game++) {
+    const durationMs = settings.duration * 1000;
+    let elapsedMs = 0;
+    let score = 0;
+    while (elapsedMs <= durationMs) {
+      const problem = generateSeededProblem(settings, game, score);
+      const { solveMs, mistake } = sampleBotAttempt(bot, problem, random);
+      elapsedMs += solveMs + (mistake ? sampleBotCorrection(bot, random) : 0);
+      if (elapsedMs <= durationMs) score++;
+    }
+    total += score;
+  }
+  return total / games;
+};
+
+/**
+ * Converts an expected score in a default game into a rating on the shared scale.
+ * @param {number} score - Average problems solved in a default 120-second game.
+ * @returns {number} The rating, rounded to the nearest 10.
+ */
+export const getRatingForScore = (score) => {
+  const rating = REFERENCE_RATING + RATING_PER_DOUBLING * Math.log2(score / REFERENCE_SCORE);
+  return Math.round(rating / 10) * 10;
+};
+
+// --- Bot Profiles ---
+// One profile per level, keyed by opponent type (e.g. "bot-1200"). `rating` is the
+// bot's nominal Elo, computed from its simulated score rather than its level label.
+export const BOT_PROFILES = Object.fromEntries(
+  Object.entries(BOT_SKILLS).map(([level, skill]) => {
+    const expectedScore = estimateBotScore(skill);
+    return [`bot-${level}`, {
+      id: `bot-${level}`,
+      level: Number(level),
+      label: `Bot ${level}`,
+      skill,
+      expectedScore,
+      rating: getRatingForScore(expectedScore),
+    }];
+  })
+);
+
+/**
+ * Looks up the profile for a bot opponent type.
+ * @param {string} opponentType - e.g. "bot-1200".
+ * @returns {object|null} The bot profile, or null if it is not a known bot.
+ */
+export const getBotProfile = (opponentType) => BOT_PROFILES[opponentType] || null;
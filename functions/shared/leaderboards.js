@@ -0,0 +1,87 @@
+// functions/shared/leaderboards.js
+//
+// Leaderboard definitions shared by the web client (board picker) and the Cloud
+// Functions (`updateLeaderboards`, which ranks every player on a schedule). Rating
+// boards rank the `elo` that `calculateEloOnGameEnd` writes, over all time or among
+// players rated in the current week or month. High-score boards rank each player's
+// best score per settings preset in games without a human opponent.
+
+import { GAME_PRESETS } from "./problems.js";
+
+// --- Constants ---
+// How many entries each published board lists. Everyone still gets a rank.
+export const LEADERBOARD_SIZE = 50;
+
+// Rating boards: the period a player must have been rated in to appear ("all" for no limit).
+export const RATING_BOARDS = {
+  allTime: { label: "All Time", period: "all" },
+  month: { label: "This Month", period: "month" },
+  week: { label: "This Week", period: "week" },
+};
+
+/**
+ * Returns the id of the high-score board for a settings preset.
+ * @param {string} presetId - A key of `GAME_PRESETS`.
+ * @returns {string} e.g. "highScore-standard".
+ */
+export const getHighScoreBoardId = (presetId) => `highScore-${presetId}`;
+
+// Every board, keyed by board id: `{ label, type: "rating"|"highScore", period?, presetId? }`.
+export const LEADERBOARDS = {
+  ...Object.fromEntries(
+    Object.entries(RATING_BOARDS).map(([id, board]) => [id, { ...board, type: "rating" }])
+  ),
+  ...Object.fromEntries(
+    Object.entries(GAME_PRESETS).map(([presetId, preset]) => [
+      getHighScoreBoardId(presetId),
+      { label: `High Score: ${preset.label}`, type: "highScore", presetId },
+    ])
+  ),
+};
+
+/**
+ * Returns when the current period started, in UTC. Weeks start on Monday.
+ * @param {string} period - "week", "month" or "all".
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {number} The start of the period in milliseconds (0 for "all").
+ */
+export const getPeriodStart = (period, now = Date.now()) => {
+  const date = new Date(now);
+  if (period === "month") return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  if (period === "week") {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+  }
+  return 0;
+};
+
+/**
+ * Returns a player's value on a board, or null if they do not qualify for it.
+ * @param {object} board - A board from `LEADERBOARDS`.
+ * @param {object} entry - The player's leaderboard entry (`elo`, `ratedGames`, `lastRatedAt`, `bestScores`).
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {number|null} The rating or score the board ranks by.
+ */
+export const getBoardValue = (board, entry, now = Date.now()) => {
+  if (board.type === "highScore") return entry.bestScores?.[board.presetId] ?? null;
+  if (!(entry.ratedGames > 0)) return null; // Players who never finished a game are unrated.
+  return entry.lastRatedAt >= getPeriodStart(board.period, now) ? entry.elo : null;
+};
+
+/**
+ * Ranks players on a board, highest value first. Equal values share a rank (1, 2, 2, 4).
+ * @param {object} board - A board from `LEADERBOARDS`.
+ * @param {object[]} entries - Leaderboard entries, each with a `uid`.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {object[]} The qualifying entries as `{ ...entry, value, rank }`, in rank order.
+ */
+export const rankEntries = (board, entries, now = Date.now()) => {
+  const ranked = entries
+    .map((entry) => ({ ...entry, value: getBoardValue(board, entry, now) }))
+    .filter((entry) => entry.value !== null)
+    .sort((a, b) => b.value - a.value);
+  ranked.forEach((entry, index) => {
+    entry.rank = index > 0 && entry.value === ranked[index - 1].value ? ranked[index - 1].rank : index + 1;
+  });
+  return ranked;
+};
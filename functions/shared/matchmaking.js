@@ -0,0 +1,70 @@
+// functions/shared/matchmaking.js
+//
+// Rating-based matchmaking rules shared by the web client (search status) and the
+// Cloud Functions (pairing). Queued players are paired when their ratings are
+// within a window that starts narrow and widens the longer they wait, so close
+// matches are preferred but nobody waits forever for a perfect one.
+
+// --- Constants ---
+// Rating difference accepted as soon as a player joins the queue.
+export const MATCH_BASE_WINDOW = 100;
+// The window grows by MATCH_WINDOW_GROWTH points every MATCH_WINDOW_STEP_MS of waiting...
+export const MATCH_WINDOW_GROWTH = 50;
+export const MATCH_WINDOW_STEP_MS = 10 * 1000;
+// ...up to this cap.
+export const MATCH_MAX_WINDOW = 800;
+// A search with no opponent after this long is given up.
+export const MATCH_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Returns the rating difference a player accepts after waiting `waitedMs` in the queue.
+ * @param {number} waitedMs - Time since the player joined the queue.
+ * @returns {number} The accepted rating difference.
+ */
+export const getMatchWindow = (waitedMs) => {
+  const steps = Math.floor(Math.max(0, waitedMs) / MATCH_WINDOW_STEP_MS);
+  return Math.min(MATCH_MAX_WINDOW, MATCH_BASE_WINDOW + steps * MATCH_WINDOW_GROWTH);
+};
+
+/**
+ * Pairs queued players. The longest-waiting players are served first, each with the
+ * closest-rated player still available. Two players may be paired when their rating
+ * difference fits the wider of their two windows, so a newcomer does not block someone
+ * who has already been waiting a while.
+ * @param {{id: string, rating: number, joinedAt: number}[]} entries - Players currently searching.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Array<[object, object]>} Pairs of entries; the first of each pair waited longer.
+ */
+export const findMatches = (entries, now = Date.now()) => {
+  const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  const paired = new Set();
+  const pairs = [];
+
+  for (const player of waiting) {
+    if (paired.has(player.id)) continue;
+    let best = null;
+    for (const candidate of waiting) {
+      if (candidate.id === player.id || paired.has(candidate.id)) continue;
+      const difference = Math.abs(player.rating - candidate.rating);
+      const accepted = Math.max(getMatchWindow(now - player.joinedAt), getMatchWindow(now - candidate.joinedAt));
+      if (difference > accepted) continue;
+      if (!best || difference < Math.abs(player.rating - best.rating)) best = candidate;
+    }
+    if (best) {
+      paired.add(player.id);
+      paired.add(best.id);
+      pairs.push([player, best]);
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Checks that a queue entry is still the search a pairing or timeout was decided for. A player
+ * who cancels and searches again gets a new `joinedAt`, so an old decision never applies to it.
+ * @param {object|undefined} entry - The queue entry's current data (`joinedAt` is a Firestore Timestamp).
+ * @param {number} joinedAt - The search's `joinedAt` in milliseconds, as passed to `findMatches`.
+ * @returns {boolean} True if the entry is still searching since `joinedAt`.
+ */
+export const isSameSearch = (entry, joinedAt) =>
+  entry?.status === "searching" && entry.joinedAt?.toMillis() === joinedAt;
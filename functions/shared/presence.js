@@ -0,0 +1,22 @@
+// functions/shared/presence.js
+//
+// Connection rules shared by the web client (heartbeats and the opponent's connection status)
+// and the Cloud Functions (`checkPresence`, which forfeits players who stay away). While a
+// two-player game is playing, each human player's game room writes a heartbeat to
+// `games/{gameId}/presence/{uid}`. A player who is not heard from for DISCONNECT_GRACE_MS
+// forfeits the game, which is rated as a loss whatever the score. Races are never forfeited:
+// a racer who leaves simply stops scoring.
+
+// --- Constants ---
+export const PRESENCE_HEARTBEAT_MS = 10 * 1000;
+export const DISCONNECT_GRACE_MS = 30 * 1000;
+
+/**
+ * Returns when a player forfeits unless they send another heartbeat. The game's start counts as
+ * the first heartbeat.
+ * @param {number|null} lastSeenMillis - The player's last heartbeat, or null if there is none yet.
+ * @param {number} startMillis - When the game started.
+ * @returns {number} The forfeit time in milliseconds.
+ */
+export const getForfeitDeadline = (lastSeenMillis, startMillis) =>
+  Math.max(lastSeenMillis ?? 0, startMillis) + DISCONNECT_GRACE_MS;
@@ -0,0 +1,237 @@
+// functions/shared/problems.js
+//
+// Problem generation and game settings shared by the web client (src/App.jsx)
+// and the Cloud Functions. The server uses it to generate each game's problem
+// sequence from a seed that never leaves the backend; the client uses it for the
+// settings form, lobby summaries, practice runs and optimistic answer checks.
+// Keep this module free of Node- and browser-only APIs.
+
+// --- Constants ---
+// Game duration options in seconds (same choices as the original Zetamac)
+export const GAME_DURATION_OPTIONS = [30, 60, 120, 300, 600];
+
+// Supported operations: display symbol and labels for the two operand ranges.
+// Subtraction and division are generated as addition and multiplication in reverse.
+export const OPERATIONS = {
+  addition: { symbol: "+", label: "Addition", leftLabel: "Left", rightLabel: "Right" },
+  subtraction: { symbol: "-", label: "Subtraction", leftLabel: "Subtrahend", rightLabel: "Answer" },
+  multiplication: { symbol: "*", label: "Multiplication", leftLabel: "Left", rightLabel: "Right" },
+  division: { symbol: "/", label: "Division", leftLabel: "Divisor", rightLabel: "Answer" },
+};
+
+// How many problems past their current one each player is shown in advance, so the client can
+// move on before the server has confirmed an answer. Only the problem texts are published, and
+// never more than this many, so the rest of the sequence stays unpredictable.
+export const UPCOMING_PROBLEM_COUNT = 3;
+
+// Hard limits for any operand range, to keep problems typeable.
+export const OPERAND_LIMITS = { min: 1, max: 9999 };
+
+// Default game settings, matching Zetamac's defaults.
+export const DEFAULT_GAME_SETTINGS = {
+  duration: 120, // 2 minutes
+  operations: {
+    addition: { enabled: true, left: { min: 2, max: 100 }, right: { min: 2, max: 100 } },
+    subtraction: { enabled: true, left: { min: 2, max: 100 }, right: { min: 2, max: 100 } },
+    multiplication: { enabled: true, left: { min: 2, max: 12 }, right: { min: 2, max: 100 } },
+    division: { enabled: true, left: { min: 2, max: 12 }, right: { min: 2, max: 100 } },
+  },
+};
+
+// Named settings presets. High scores are only compared between games with identical
+// settings, so the high-score leaderboards are kept per preset.
+export const GAME_PRESETS = {
+  standard: { label: "Standard (120s)", settings: DEFAULT_GAME_SETTINGS },
+  sprint: { label: "Sprint (30s)", settings: { ...DEFAULT_GAME_SETTINGS, duration: 30 } },
+  marathon: { label: "Marathon (300s)", settings: { ...DEFAULT_GAME_SETTINGS, duration: 300 } },
+};
+
+
+// --- Utility Functions ---
+
+/**
+ * Returns a random integer between `min` and `max` (both inclusive).
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @param {function} [random=Math.random] - Source of floats in [0, 1).
+ * @returns {number} A random integer in [min, max].
+ */
+const randomInt = (min, max, random = Math.random) => Math.floor(random() * (max - min + 1)) + min;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence of floats in [0, 1).
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {function(): number} The generator.
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Clamps and sanitises a settings object coming from the lobby form or a game document.
+ * Guarantees integer bounds with min <= max, a supported duration and at least one enabled operation.
+ * Missing fields fall back to `DEFAULT_GAME_SETTINGS`, so games created before settings existed still work.
+ * @param {object} [settings] - Possibly partial settings object.
+ * @returns {object} A complete, valid settings object.
+ */
+export const normalizeGameSettings = (settings = {}) => {
+  const duration = GAME_DURATION_OPTIONS.includes(Number(settings.duration))
+    ? Number(settings.duration)
+    : DEFAULT_GAME_SETTINGS.duration;
+
+  const normalizeRange = (range = {}, fallback) => {
+    let min = Number.isFinite(Number(range.min)) ? Math.round(Number(range.min)) : fallback.min;
+    let max = Number.isFinite(Number(range.max)) ? Math.round(Number(range.max)) : fallback.max;
+    min = Math.min(Math.max(min, OPERAND_LIMITS.min), OPERAND_LIMITS.max);
+    max = Math.min(Math.max(max, OPERAND_LIMITS.min), OPERAND_LIMITS.max);
+    if (min > max) [min, max] = [max, min]; // Swap if the user entered them backwards
+    return { min, max };
+  };
+
+  const operations = {};
+  for (const key of Object.keys(OPERATIONS)) {
+    const defaults = DEFAULT_GAME_SETTINGS.operations[key];
+    const op = settings.operations?.[key] || defaults;
+    operations[key] = {
+      enabled: op.enabled !== false,
+      left: normalizeRange(op.left, defaults.left),
+      right: normalizeRange(op.right, defaults.right),
+    };
+  }
+  // A game with no operations would have no problems; fall back to addition.
+  if (!Object.values(operations).some(op => op.enabled)) {
+    operations.addition.enabled = true;
+  }
+
+  return { duration, operations };
+};
+
+/**
+ * Generates a random arithmetic problem using the given game settings (Zetamac rules).
+ * - Addition: (left range) + (right range).
+ * - Subtraction: Addition problems in reverse, e.g. (a + b) - a = b.
+ * - Multiplication: (left range) x (right range), factors shown in random order.
+ * - Division: Multiplication problems in reverse, e.g. (a * b) / a = b.
+ * @param {object} [settings=DEFAULT_GAME_SETTINGS] - Game settings (see `DEFAULT_GAME_SETTINGS`).
+ * @param {function} [random=Math.random] - Source of floats in [0, 1); pass a seeded generator for repeatable problems.
+ * @returns {{problem: string, answer: number, operation: string, operands: number[]}} The problem string,
+ *   its correct answer, the operation key (e.g. "addition") and the two displayed operands.
+ */
+export const generateProblem = (settings = DEFAULT_GAME_SETTINGS, random = Math.random) => {
+  const { operations } = normalizeGameSettings(settings);
+  const enabledKeys = Object.keys(OPERATIONS).filter(key => operations[key].enabled);
+  const key = enabledKeys[Math.floor(random() * enabledKeys.length)]; // Randomly pick an enabled operation
+  const { left, right } = operations[key];
+  const a = randomInt(left.min, left.max, random);
+  const b = randomInt(right.min, right.max, random);
+  let num1, num2, answer;
+
+  switch (key) {
+    case "addition":
+      num1 = a;
+      num2 = b;
+      answer = a + b;
+      break;
+
+    case "subtraction":
+      // The sum of the two operands becomes the minuend, so answers are never negative.
+      num1 = a + b;
+      num2 = a;
+      answer = b;
+      break;
+
+    case "multiplication":
+      // Randomly order the factors for varied problem appearance.
+      [num1, num2] = random() < 0.5 ? [a, b] : [b, a];
+      answer = a * b;
+      break;
+
+    case "division":
+      // The product becomes the dividend, ensuring a whole number quotient.
+      num1 = a * b;
+      num2 = a;
+      answer = b;
+      break;
+
+    default:
+      // Fallback in case an unexpected operation is chosen (should not happen).
+      num1 = 0;
+      num2 = 0;
+      answer = 0;
+      break;
+  }
+  // Return the problem string and its numerical answer, plus the parts used to build it.
+  return { problem: `${num1} ${OPERATIONS[key].symbol} ${num2}`, answer, operation: key, operands: [num1, num2] };
+};
+
+/**
+ * Generates problem number `index` (0-based) of the deterministic sequence for a game seed.
+ * Every player in a game walks the same sequence at their own pace, so both face identical
+ * problems. Each problem is derived from (seed, index) alone, so any problem can be
+ * regenerated without replaying the ones before it.
+ * @param {object} settings - Game settings.
+ * @param {number} seed - The game's 32-bit seed (kept private on the server).
+ * @param {number} index - Position in the sequence.
+ * @returns {{problem: string, answer: number, operation: string, operands: number[]}} See `generateProblem`.
+ */
+export const generateSeededProblem = (settings, seed, index) => {
+  const problemSeed = (seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+  return generateProblem(settings, createSeededRandom(problemSeed));
+};
+
+/**
+ * Works out the answer to a problem from its text, as the player has to. The client uses this to
+ * check answers before the server does; the server always checks against the seeded sequence.
+ * @param {string} problem - Problem text from `generateProblem`, e.g. "12 * 7".
+ * @returns {number|null} The answer, or null if the text is not a problem.
+ */
+export const getProblemAnswer = (problem) => {
+  const match = /^(\d+) (\S) (\d+)$/.exec(problem || "");
+  if (!match) return null;
+  const [, left, symbol, right] = match;
+  const [a, b] = [Number(left), Number(right)];
+  switch (symbol) {
+    case OPERATIONS.addition.symbol: return a + b;
+    case OPERATIONS.subtraction.symbol: return a - b;
+    case OPERATIONS.multiplication.symbol: return a * b;
+    case OPERATIONS.division.symbol: return a / b;
+    default: return null;
+  }
+};
+
+/**
+ * Builds a short human-readable summary of a game's settings for the lobby list,
+ * e.g. "+ (2-100, 2-100) · x (2-12, 2-100) · 120s".
+ * @param {object} [settings] - Game settings; defaults are described if missing.
+ * @returns {string} The summary text.
+ */
+export const describeGameSettings = (settings) => {
+  const { duration, operations } = normalizeGameSettings(settings);
+  const parts = Object.keys(OPERATIONS)
+    .filter(key => operations[key].enabled)
+    .map(key => {
+      const { left, right } = operations[key];
+      return `${OPERATIONS[key].symbol} (${left.min}-${left.max}, ${right.min}-${right.max})`;
+    });
+  return [...parts, `${duration}s`].join(" · ");
+};
+
+/**
+ * Finds the preset whose settings a game uses exactly.
+ * @param {object} settings - Game settings.
+ * @returns {string|null} The preset id (a key of `GAME_PRESETS`), or null for custom settings.
+ */
+export const getGamePresetId = (settings) => {
+  const key = JSON.stringify(normalizeGameSettings(settings));
+  const match = Object.entries(GAME_PRESETS)
+    .find(([, preset]) => JSON.stringify(normalizeGameSettings(preset.settings)) === key);
+  return match ? match[0] : null;
+};
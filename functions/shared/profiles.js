@@ -0,0 +1,44 @@
+// functions/shared/profiles.js
+//
+// Player identity helpers shared by the web client and the Cloud Functions.
+// A profile carries a unique display name and the seed of a generated avatar.
+// Both are copied onto each game document when a player takes a seat, because
+// profiles themselves are private to their owner.
+
+// --- Constants ---
+// 3 to 20 letters, digits, underscores or hyphens. `firestore.rules` checks the same pattern.
+export const DISPLAY_NAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+/**
+ * Checks whether a display name has the allowed format (uniqueness is checked separately).
+ * @param {string} name - The proposed display name.
+ * @returns {boolean} True if the name may be used.
+ */
+export const isValidDisplayName = (name) => typeof name === "string" && DISPLAY_NAME_PATTERN.test(name);
+
+/**
+ * Returns the key under which a display name is reserved. Names are unique regardless of
+ * letter case, so "Ada" and "ada" cannot both exist.
+ * @param {string} name - A display name.
+ * @returns {string} The reservation key (the lower-cased name).
+ */
+export const getDisplayNameKey = (name) => name.toLowerCase();
+
+/**
+ * Returns a player's public identity from their profile, as stored on game documents.
+ * @param {object|undefined} profile - The player's profile document data.
+ * @param {string} uid - The player's user ID, the avatar seed for players who never picked one.
+ * @returns {{name: string|null, avatarSeed: string}} The display name (null if not set yet) and avatar seed.
+ */
+export const getPublicIdentity = (profile, uid) => ({
+  name: profile?.displayName ?? null,
+  avatarSeed: profile?.avatarSeed ?? uid,
+});
+
+/**
+ * Returns the name to show for a player, falling back to a short form of the user ID.
+ * @param {string|null} name - The stored display name.
+ * @param {string|null} uid - The player's user ID.
+ * @returns {string} A label for the player.
+ */
+export const formatPlayerName = (name, uid) => name || (uid ? `Player ${uid.substring(0, 6)}` : "Unknown");
@@ -0,0 +1,66 @@
+// functions/shared/races.js
+//
+// Multiplayer races, shared by the web client (race room and standings) and the
+// Cloud Functions (joining, scoring and rating). A race is a game document with
+// `mode: "race"`: instead of the player1/player2 fields of a two-player game, it
+// lists its racers in `playerIds` (join order) and keeps each one's state in
+// `players[uid]` (`name`, `avatarSeed`, `eloAtStart`, `deviationAtStart`, `score`,
+// `problemIndex`, `problem`, `answerLength`, `upcomingProblems`).
+
+// --- Constants ---
+export const RACE_MIN_PLAYERS = 3;
+export const RACE_MAX_PLAYERS = 8;
+
+/**
+ * Checks whether a game is a multiplayer race.
+ * @param {object} game - The game document data.
+ * @returns {boolean} True for races, false for two-player games.
+ */
+export const isRace = (game) => game?.mode === "race";
+
+/**
+ * Checks whether a user plays in a game (as opposed to watching it), in either mode.
+ * @param {object} game - The game document data.
+ * @param {string} uid - The user ID.
+ * @returns {boolean} True if the user has a seat.
+ */
+export const isGamePlayer = (game, uid) =>
+  isRace(game) ? (game.playerIds || []).includes(uid) : uid === game.player1Id || uid === game.player2Id;
+
+/**
+ * Returns one player's live state in either mode, in the shape races store it.
+ * @param {object} game - The game document data.
+ * @param {string} uid - The player's user ID.
+ * @returns {{name: string|null, avatarSeed: string, score: number, problemIndex: number,
+ *   problem: string|null, answerLength: number|null, upcomingProblems: string[]}|null} The state,
+ *   or null for non-players.
+ */
+export const getPlayerState = (game, uid) => {
+  if (isRace(game)) return game.players?.[uid] ?? null;
+  const key = uid === game.player1Id ? "player1" : uid === game.player2Id ? "player2" : null;
+  if (!key) return null;
+  return {
+    name: game[`${key}Name`] ?? null,
+    avatarSeed: game[`${key}AvatarSeed`] ?? uid,
+    score: game[`${key}Score`] || 0,
+    problemIndex: game[`${key}ProblemIndex`] || 0,
+    problem: game[`${key}Problem`] ?? null,
+    answerLength: game[`${key}AnswerLength`] ?? null,
+    upcomingProblems: game[`${key}UpcomingProblems`] ?? [],
+  };
+};
+
+/**
+ * Ranks a race's players by score, highest first. Equal scores share a place (1, 2, 2, 4).
+ * @param {object} game - The race document data.
+ * @returns {{uid: string, score: number, place: number}[]} Every racer, in finishing order.
+ */
+export const getRaceStandings = (game) => {
+  const standings = (game.playerIds || [])
+    .map((uid) => ({ uid, score: game.players[uid]?.score || 0 }))
+    .sort((a, b) => b.score - a.score);
+  standings.forEach((entry, index) => {
+    entry.place = index > 0 && entry.score === standings[index - 1].score ? standings[index - 1].place : index + 1;
+  });
+  return standings;
+};
@@ -0,0 +1,372 @@
+// functions/shared/rating.js
+//
+// Rating math shared by the Cloud Functions (`calculateEloOnGameEnd` writes
+// the real ratings) and the web client (previews the change on the results
+// screen). Both sides must agree, so every rating constant lives here.
+//
+// Two systems are supported, selected by RATING_SYSTEM:
+// - "elo": Plain Elo with a fixed K-factor.
+// - "glicko2": Glicko-2 (Glickman, 2012). Each player also has a rating
+//   deviation (RD, how uncertain the rating is) and a volatility. New players
+//   move quickly until their RD drops, established players move less, and RD
+//   grows again while a player is inactive.
+// The rating itself is always stored in the profile's `elo` field, and bots are never re-rated.
+// With Elo, rating changes between humans are zero-sum. Glicko-2 deliberately is not: a
+// provisional player (high RD) must move a long way on a game that barely tells anything new
+// about an established player (low RD), so forcing the two changes to cancel would either throw
+// established players around or stall new ones.
+//
+// RESULT_MODE decides what a game counts as:
+// - "outcome": Win/draw/loss only (1, 0.5 or 0).
+// - "margin": A fraction between 0 and 1 from the score ratio, so a 60-10 win
+//   counts for more than a 31-30 win (see `getGameResult`).
+
+import { BOT_PROFILES, getBotProfile } from "./bots.js";
+
+// --- Constants ---
+export const ELO_K_FACTOR = 32; // K-factor determines how much Elo changes after a match. Higher K means bigger swings.
+export const STARTING_ELO = 200; // Initial Elo rating for new players.
+
+// Active rating system: "elo" or "glicko2".
+export const RATING_SYSTEM = "glicko2";
+
+// How a game's scores become a result: "outcome" (win/draw/loss) or the opt-in "margin".
+export const RESULT_MODE = "outcome";
+// Exponent applied to both scores in "margin" mode. 1 is the plain score share; higher values
+// reward a clear lead more: with 2, 31-30 counts as 0.52 and 60-10 as 0.97.
+export const MARGIN_SHARPNESS = 2;
+
+// Glicko-2 Configuration
+export const INITIAL_RATING_DEVIATION = 350; // RD for new players, and for Elo-only profiles being migrated.
+export const INITIAL_VOLATILITY = 0.06; // Expected fluctuation of a player's true skill.
+export const PROVISIONAL_RATING_DEVIATION = 110; // Players above this RD are shown as "provisional".
+export const BOT_RATING_DEVIATION = 50; // Bots have a fixed, well-known rating.
+const GLICKO_TAU = 0.5; // Constrains how fast volatility can change.
+const GLICKO_SCALE = 173.7178; // Converts between the rating scale and the Glicko-2 internal scale.
+const GLICKO_CENTER = 1500;
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000; // RD grows by one period's worth per day of inactivity.
+const VOLATILITY_EPSILON = 0.000001; // Convergence tolerance for the volatility iteration.
+
+// Fixed ratings of the bot opponents, keyed by opponent type (e.g. "bot-1200").
+// Bots are never re-rated; their rating comes from their skill model in bots.js.
+export const BOT_RATINGS = Object.fromEntries(
+  Object.values(BOT_PROFILES).map((bot) => [bot.id, bot.rating])
+);
+
+// --- Rating Functions ---
+
+/**
+ * Probability-like expected score of player A against player B (0 to 1).
+ * @param {number} eloA - Player A's rating.
+ * @param {number} eloB - Player B's rating.
+ * @returns {number} A's expected score; B's is `1 - result`.
+ */
+export const getExpectedScore = (eloA, eloB) => {
+  return 1 / (1 + Math.pow(10, (eloB - eloA) / 400));
+};
+
+/**
+ * Reduces a finished game to player A's result between 0 and 1; player B's is `1 - result`.
+ * - "outcome" mode: 1 for a win, 0.5 for a draw, 0 for a loss.
+ * - "margin" mode: scoreA^s / (scoreA^s + scoreB^s) with s = MARGIN_SHARPNESS. Equal scores
+ *   (including 0-0) give 0.5 and the winner always gets more than 0.5.
+ * @param {number} scoreA - Problems solved by player A.
+ * @param {number} scoreB - Problems solved by player B.
+ * @param {string} [mode=RESULT_MODE] - "outcome" or "margin".
+ * @returns {number} Player A's result.
+ */
+export const getGameResult = (scoreA, scoreB, mode = RESULT_MODE) => {
+  if (mode === "margin") {
+    const weightA = Math.pow(Math.max(0, scoreA), MARGIN_SHARPNESS);
+    const weightB = Math.pow(Math.max(0, scoreB), MARGIN_SHARPNESS);
+    if (weightA + weightB === 0) return 0.5;
+    return weightA / (weightA + weightB);
+  }
+  if (scoreA > scoreB) return 1;
+  if (scoreB > scoreA) return 0;
+  return 0.5;
+};
+
+/**
+ * Applies one Elo update to both players. The change is rounded once and applied with opposite
+ * signs, so the update is exactly zero-sum: whatever A gains, B loses.
+ * @param {number} eloA - Player A's rating before the game.
+ * @param {number} eloB - Player B's rating before the game.
+ * @param {number} resultA - Player A's result (see `getGameResult`).
+ * @param {number} [kFactor=ELO_K_FACTOR] - Maximum rating change per game.
+ * @returns {{newEloA: number, newEloB: number}} The updated ratings.
+ */
+export const calculateNewElo = (eloA, eloB, resultA, kFactor = ELO_K_FACTOR) => {
+  const expectedScoreA = getExpectedScore(eloA, eloB);
+  const change = Math.round(kFactor * (resultA - expectedScoreA));
+  return { newEloA: Math.round(eloA) + change, newEloB: Math.round(eloB) - change };
+};
+
+/**
+ * Returns true if the opponent type is a bot rather than a human.
+ * @param {string} opponentType - The game's `opponentType`.
+ * @returns {boolean}
+ */
+export const isBotOpponent = (opponentType) => Boolean(getBotProfile(opponentType));
+
+/**
+ * Returns the fixed rating of a bot opponent.
+ * @param {string} opponentType - e.g. "bot-1200".
+ * @returns {number|null} The bot's rating, or null if it is not a known bot.
+ */
+export const getBotRating = (opponentType) => BOT_RATINGS[opponentType] ?? null;
+
+/**
+ * Reads a stored rating, falling back to STARTING_ELO for players without one yet.
+ * @param {number|undefined} elo - The stored rating, if any.
+ * @returns {number} The player's current rating.
+ */
+export const getEloOrDefault = (elo) => (Number.isFinite(elo) ? elo : STARTING_ELO);
+
+// --- Glicko-2 ---
+
+const glickoG = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const glickoE = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-glickoG(opponentPhi) * (mu - opponentMu)));
+
+/**
+ * Returns true while a rating deviation is too high for the rating to be trusted.
+ * @param {number} ratingDeviation - The player's RD.
+ * @returns {boolean}
+ */
+export const isProvisional = (ratingDeviation) => ratingDeviation > PROVISIONAL_RATING_DEVIATION;
+
+/**
+ * Reads a player's Glicko-2 state from their profile. Profiles that only have an `elo`
+ * (from before Glicko-2) keep that rating with a high initial RD. RD grows with every full
+ * rating period since the player was last rated, up to INITIAL_RATING_DEVIATION.
+ * @param {object|undefined} profile - The stored profile data, if any.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {{rating: number, ratingDeviation: number, volatility: number}}
+ */
+export const getGlickoPlayer = (profile, now = Date.now()) => {
+  const rating = getEloOrDefault(profile?.elo);
+  const volatility = Number.isFinite(profile?.volatility) ? profile.volatility : INITIAL_VOLATILITY;
+  let ratingDeviation = Number.isFinite(profile?.ratingDeviation)
+    ? profile.ratingDeviation
+    : INITIAL_RATING_DEVIATION;
+
+  const idlePeriods = Number.isFinite(profile?.lastRatedAt)
+    ? Math.floor((now - profile.lastRatedAt) / RATING_PERIOD_MS)
+    : 0;
+  if (idlePeriods > 0) {
+    const phi = ratingDeviation / GLICKO_SCALE;
+    const grownPhi = Math.sqrt(phi * phi + idlePeriods * volatility * volatility);
+    ratingDeviation = Math.min(INITIAL_RATING_DEVIATION, grownPhi * GLICKO_SCALE);
+  }
+  return { rating, ratingDeviation, volatility };
+};
+
+/**
+ * Applies one Glicko-2 rating period to a player.
+ * @param {{rating: number, ratingDeviation: number, volatility: number}} player - State before the period.
+ * @param {{rating: number, ratingDeviation: number, result: number}[]} games - Results against each
+ *   opponent's pre-period rating (1 win, 0.5 draw, 0 loss).
+ * @returns {{rating: number, ratingDeviation: number, volatility: number}} State after the period.
+ */
+export const calculateGlicko2 = (player, games) => {
+  const mu = (player.rating - GLICKO_CENTER) / GLICKO_SCALE;
+  const phi = player.ratingDeviation / GLICKO_SCALE;
+  const sigma = player.volatility;
+
+  if (games.length === 0) {
+    const idlePhi = Math.sqrt(phi * phi + sigma * sigma);
+    return { ...player, ratingDeviation: Math.min(INITIAL_RATING_DEVIATION, idlePhi * GLICKO_SCALE) };
+  }
+
+  // Estimated variance of the rating from game outcomes alone, and the estimated improvement.
+  let varianceSum = 0;
+  let improvementSum = 0;
+  for (const game of games) {
+    const opponentMu = (game.rating - GLICKO_CENTER) / GLICKO_SCALE;
+    const opponentPhi = game.ratingDeviation / GLICKO_SCALE;
+    const g = glickoG(opponentPhi);
+    const expected = glickoE(mu, opponentMu, opponentPhi);
+    varianceSum += g * g * expected * (1 - expected);
+    improvementSum += g * (game.result - expected);
+  }
+  const v = 1 / varianceSum;
+  const delta = v * improvementSum;
+
+  // New volatility via the Illinois algorithm (step 5 of the Glicko-2 paper).
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) -
+      (x - a) / (GLICKO_TAU * GLICKO_TAU);
+  };
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    B = a - k * GLICKO_TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > VOLATILITY_EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  const preRatingPhi = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvementSum;
+
+  return {
+    rating: newMu * GLICKO_SCALE + GLICKO_CENTER,
+    ratingDeviation: Math.min(INITIAL_RATING_DEVIATION, newPhi * GLICKO_SCALE),
+    volatility: newSigma,
+  };
+};
+
+// --- Game Rating ---
+
+// Profile fields for a player's Glicko-2 state after being rated at `now`.
+const toProfileFields = (state, now) => ({
+  elo: Math.round(state.rating),
+  ratingDeviation: state.ratingDeviation,
+  volatility: state.volatility,
+  provisional: isProvisional(state.ratingDeviation),
+  lastRatedAt: now,
+});
+
+/**
+ * Makes the Elo changes of players rated against each other zero-sum after rounding, so rating
+ * points are only ever passed between humans and the average rating of the pool never drifts.
+ * Each change is shifted by the average change, then rounded to whole points by largest
+ * remainder so the rounded changes still add up to zero.
+ * @param {number[]} before - Ratings before the game.
+ * @param {number[]} after - Unrounded ratings after the game, in the same order.
+ * @returns {number[]} Whole-number ratings whose total equals the total of the rounded `before`.
+ */
+export const toZeroSumRatings = (before, after) => {
+  const changes = after.map((rating, index) => rating - before[index]);
+  const meanChange = changes.reduce((sum, change) => sum + change, 0) / changes.length;
+  const exact = changes.map((change) => change - meanChange);
+  const rounded = exact.map(Math.floor);
+  let remaining = -rounded.reduce((sum, change) => sum + change, 0);
+  exact
+    .map((change, index) => ({ index, remainder: change - rounded[index] }))
+    .sort((x, y) => y.remainder - x.remainder || x.index - y.index)
+    .forEach(({ index }) => {
+      if (remaining-- > 0) rounded[index]++;
+    });
+  return before.map((rating, index) => Math.round(rating) + rounded[index]);
+};
+
+/**
+ * Rates a finished two-player game with the active RATING_SYSTEM.
+ * Returns the rating fields to store on each player's profile; `elo` is always rounded.
+ * Bots are never re-rated, so `player2` only matters for human opponents. A game against an
+ * opponent type that is neither "human" nor a known bot has no opponent rating and is not rated.
+ * @param {object} params
+ * @param {object|undefined} params.player1 - Player 1's profile data before the game.
+ * @param {object|undefined} params.player2 - Player 2's profile data (ignored for bots).
+ * @param {string} params.opponentType - The game's `opponentType`.
+ * @param {number} params.player1Score - Problems solved by player 1.
+ * @param {number} params.player2Score - Problems solved by player 2.
+ * @param {string|null} [params.forfeitedBy=null] - "player1" or "player2" if that player forfeited,
+ *   which rates the game as their loss whatever the score.
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds.
+ * @param {string} [params.system=RATING_SYSTEM] - "elo" or "glicko2".
+ * @returns {{player1: object, player2: object}|null} Profile fields for each player, or null if
+ *   the game cannot be rated.
+ */
+export const rateGame = ({
+  player1,
+  player2,
+  opponentType,
+  player1Score,
+  player2Score,
+  forfeitedBy = null,
+  now = Date.now(),
+  system = RATING_SYSTEM,
+}) => {
+  const botRating = getBotRating(opponentType);
+  if (opponentType !== "human" && botRating === null) return null;
+
+  let resultA = getGameResult(player1Score, player2Score);
+  if (forfeitedBy) resultA = forfeitedBy === "player1" ? 0 : 1;
+
+  if (system !== "glicko2") {
+    const { newEloA, newEloB } = calculateNewElo(
+      getEloOrDefault(player1?.elo),
+      botRating ?? getEloOrDefault(player2?.elo),
+      resultA
+    );
+    return { player1: { elo: newEloA, lastRatedAt: now }, player2: { elo: newEloB, lastRatedAt: now } };
+  }
+
+  const a = getGlickoPlayer(player1, now);
+  const b = botRating !== null
+    ? { rating: botRating, ratingDeviation: BOT_RATING_DEVIATION, volatility: INITIAL_VOLATILITY }
+    : getGlickoPlayer(player2, now);
+
+  const newA = calculateGlicko2(a, [{ rating: b.rating, ratingDeviation: b.ratingDeviation, result: resultA }]);
+  const newB = botRating !== null
+    ? b
+    : calculateGlicko2(b, [{ rating: a.rating, ratingDeviation: a.ratingDeviation, result: 1 - resultA }]);
+  return { player1: toProfileFields(newA, now), player2: toProfileFields(newB, now) };
+};
+
+/**
+ * Rates a finished race with the active RATING_SYSTEM. Every pair of racers counts as one game,
+ * won by whoever placed higher (equal places are a draw), all within one rating period.
+ * With plain Elo each pairing gets a 1 / (racers - 1) share of the K-factor, and the changes are
+ * made zero-sum (see `toZeroSumRatings`).
+ * @param {{profile: object|undefined, place: number}[]} racers - Each racer's profile data before
+ *   the race and their final place (1 is first).
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @param {string} [system=RATING_SYSTEM] - "elo" or "glicko2".
+ * @returns {object[]} Profile fields for each racer, in the same order.
+ */
+export const rateRace = (racers, now = Date.now(), system = RATING_SYSTEM) => {
+  const getPairResult = (racer, other) => {
+    if (racer.place < other.place) return 1;
+    if (racer.place > other.place) return 0;
+    return 0.5;
+  };
+
+  if (system !== "glicko2") {
+    const kFactor = ELO_K_FACTOR / Math.max(1, racers.length - 1);
+    const elos = racers.map((racer) => getEloOrDefault(racer.profile?.elo));
+    const newElos = racers.map((racer, index) => {
+      let change = 0;
+      racers.forEach((other, otherIndex) => {
+        if (otherIndex === index) return;
+        change += kFactor * (getPairResult(racer, other) - getExpectedScore(elos[index], elos[otherIndex]));
+      });
+      return elos[index] + change;
+    });
+    return toZeroSumRatings(elos, newElos).map((elo) => ({ elo, lastRatedAt: now }));
+  }
+
+  const states = racers.map((racer) => getGlickoPlayer(racer.profile, now));
+  return racers.map((racer, index) => {
+    const games = racers
+      .map((other, otherIndex) => ({ other, otherIndex }))
+      .filter(({ otherIndex }) => otherIndex !== index)
+      .map(({ other, otherIndex }) => ({
+        rating: states[otherIndex].rating,
+        ratingDeviation: states[otherIndex].ratingDeviation,
+        result: getPairResult(racer, other),
+      }));
+    return toProfileFields(calculateGlicko2(states[index], games), now);
+  });
+};
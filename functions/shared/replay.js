@@ -0,0 +1,76 @@
+// functions/shared/replay.js
+//
+// Replay event format shared by the Cloud Functions (which record each player's
+// events as they play) and the web client (replay viewer and JSON export). Every
+// event carries `t`, milliseconds since the game started on the server clock, and
+// `player` ("player1" or "player2"). Event types in version 1:
+// - { type: "problem", index, problem }: A problem was shown to the player.
+// - { type: "input", value }: The player's answer box changed to `value`.
+// - { type: "answer", index, correct }: An answer to problem `index` was checked.
+// - { type: "score", score }: The player's score changed.
+// Bump REPLAY_FORMAT_VERSION whenever the meaning of a field changes or one is removed.
+
+// --- Constants ---
+export const REPLAY_FORMAT = "zetamac-replay";
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Limits on the keystrokes a client may send with one answer.
+export const MAX_KEYSTROKES_PER_ANSWER = 50;
+export const MAX_INPUT_LENGTH = 12;
+
+/**
+ * Builds the exportable replay of a game from its per-player event logs.
+ * @param {string} gameId - The game's ID.
+ * @param {object} game - The game document data (with `startTime` as milliseconds or a Timestamp).
+ * @param {{player1: object[], player2: object[]}} eventsByPlayer - Each player's recorded events.
+ * @returns {object} The replay: format and version, game and player details, and all events in time order.
+ */
+export const buildReplay = (gameId, game, eventsByPlayer) => {
+  const toMillis = (time) => (typeof time?.toMillis === "function" ? time.toMillis() : time ?? null);
+  const player = (key) => ({
+    id: game[`${key}Id`],
+    name: game[`${key}Name`] ?? null,
+    avatarSeed: game[`${key}AvatarSeed`] ?? null,
+    score: game[`${key}Score`],
+  });
+  const events = [...(eventsByPlayer.player1 || []), ...(eventsByPlayer.player2 || [])]
+    .sort((a, b) => a.t - b.t);
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_FORMAT_VERSION,
+    gameId,
+    opponentType: game.opponentType,
+    settings: game.settings,
+    startTime: toMillis(game.startTime),
+    endTime: toMillis(game.endTime),
+    players: { player1: player("player1"), player2: player("player2") },
+    events,
+  };
+};
+
+/**
+ * Replays events up to a point in time.
+ * @param {object} replay - A replay from `buildReplay`.
+ * @param {number} t - Milliseconds since the game started.
+ * @returns {{player1: object, player2: object}} Each player's `{ problem, index, input, score, lastAnswer }`
+ *   at time `t`, where `lastAnswer` is the most recent answer event (for right/wrong feedback).
+ */
+export const getReplayStateAt = (replay, t) => {
+  const initial = () => ({ problem: null, index: 0, input: "", score: 0, lastAnswer: null });
+  const state = { player1: initial(), player2: initial() };
+  for (const event of replay.events) {
+    if (event.t > t) break;
+    const playerState = state[event.player];
+    if (!playerState) continue;
+    if (event.type === "problem") {
+      Object.assign(playerState, { problem: event.problem, index: event.index, input: "" });
+    } else if (event.type === "input") {
+      playerState.input = event.value;
+    } else if (event.type === "answer") {
+      playerState.lastAnswer = event;
+    } else if (event.type === "score") {
+      playerState.score = event.score;
+    }
+  }
+  return state;
+};
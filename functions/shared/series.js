@@ -0,0 +1,37 @@
+// functions/shared/series.js
+//
+// Best-of-N series rules shared by the web client (series score and summary) and the
+// Cloud Functions (which record each game and create the next one). A series links
+// consecutive games between the same two players; ratings change once, on the series
+// result, rather than after every game.
+
+// --- Constants ---
+// Series lengths offered in the lobby. 1 is a single, individually rated game.
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+/**
+ * Returns how many game wins take a best-of-`bestOf` series.
+ * @param {number} bestOf - The series length.
+ * @returns {number} e.g. 2 for a best of 3.
+ */
+export const getWinsNeeded = (bestOf) => Math.floor(bestOf / 2) + 1;
+
+/**
+ * Adds a finished game to a series and decides whether the series is over. It ends as soon
+ * as a player reaches `getWinsNeeded` wins, or after `bestOf` games (drawn games count for
+ * nobody, so a series can end level).
+ * @param {object} series - The series document data (`bestOf`, `playerIds`, `wins`, `games`).
+ * @param {{gameId: string, winnerId: string|null, scores: object}} game - The finished game, with
+ *   each player's score keyed by user ID.
+ * @returns {object} The updated `wins`, `games`, `status` ("playing" or "finished") and `winnerId`.
+ */
+export const recordSeriesGame = (series, game) => {
+  const wins = { ...series.wins };
+  if (game.winnerId) wins[game.winnerId] = (wins[game.winnerId] || 0) + 1;
+  const games = [...series.games, game];
+  const [a, b] = series.playerIds;
+  const isOver = Math.max(wins[a] || 0, wins[b] || 0) >= getWinsNeeded(series.bestOf) || games.length >= series.bestOf;
+  let winnerId = null;
+  if (isOver && wins[a] !== wins[b]) winnerId = (wins[a] || 0) > (wins[b] || 0) ? a : b;
+  return { wins, games, status: isOver ? "finished" : "playing", winnerId };
+};
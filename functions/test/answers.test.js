@@ -0,0 +1,75 @@
+// functions/test/answers.test.js
+//
+// Tests for `submitAnswer` against the Firestore emulator: what an answer records besides the
+// score. They are skipped unless FIRESTORE_EMULATOR_HOST is set, which `npm test` in the
+// repository root does.
+
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { DEFAULT_GAME_SETTINGS, generateSeededProblem } from "../shared/problems.js";
+
+const { Timestamp } = admin.firestore;
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+describe("submitAnswer", { skip: !emulated && "needs the Firestore emulator" }, () => {
+  const APP_ID = "test-app";
+  const SEED = 12345;
+  const { problem, answer } = generateSeededProblem(DEFAULT_GAME_SETTINGS, SEED, 0);
+  let db;
+  let functions;
+
+  const gameRef = (gameId) => db.doc(`artifacts/${APP_ID}/public/data/games/${gameId}`);
+
+  // A game in progress with its seed, as `startGame` leaves it (just the fields `applyAnswer` reads).
+  const startGame = async (gameId, fields) => {
+    await gameRef(gameId).set({
+      settings: DEFAULT_GAME_SETTINGS,
+      status: "playing",
+      startTime: Timestamp.now(),
+      endTime: Timestamp.fromMillis(Date.now() + 60 * 1000),
+      ...fields,
+    });
+    await gameRef(gameId).collection("private").doc("state").set({ seed: SEED });
+  };
+
+  const submit = (gameId, uid) => functions.submitAnswer.run({
+    auth: { uid },
+    data: { appId: APP_ID, gameId, problemIndex: 0, answer: String(answer), keystrokes: [] },
+  });
+
+  beforeEach(async () => {
+    functions = functions || await import("../index.js");
+    db = db || admin.firestore();
+    await db.recursiveDelete(db.collection("artifacts"));
+  });
+
+  after(() => admin.app().delete());
+
+  it("records a two-player game's answer in the replay", async () => {
+    await startGame("duel", {
+      player1Id: "alice",
+      player2Id: "bob",
+      player1Score: 0,
+      player1ProblemIndex: 0,
+      player1Problem: problem,
+    });
+    assert.deepEqual(await submit("duel", "alice"), { correct: true, stale: false });
+    assert.equal((await gameRef("duel").get()).data().player1Score, 1);
+    const replay = (await gameRef("duel").collection("replay").doc("player1").get()).data();
+    assert.ok(replay.events.some((event) => event.type === "answer" && event.correct));
+  });
+
+  it("records no telemetry or replay in a race", async () => {
+    await startGame("race", {
+      mode: "race",
+      opponentType: "race",
+      playerIds: ["alice", "bob", "carol"],
+      players: { alice: { score: 0, problemIndex: 0, problem } },
+    });
+    assert.deepEqual(await submit("race", "alice"), { correct: true, stale: false });
+    assert.equal((await gameRef("race").get()).data().players.alice.score, 1);
+    assert.equal((await gameRef("race").collection("telemetry").get()).empty, true);
+    assert.equal((await gameRef("race").collection("replay").get()).empty, true);
+  });
+});
@@ -0,0 +1,143 @@
+// functions/test/cleanup.test.js
+//
+// Tests for `cleanUpGames` and `limitWaitingGames` against the Firestore emulator. They are
+// skipped unless FIRESTORE_EMULATOR_HOST is set, which `npm test` in the repository root does.
+
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+describe("game cleanup", { skip: !emulated && "needs the Firestore emulator" }, () => {
+  const APP_ID = "test-app";
+  const MINUTE_MS = 60 * 1000;
+  const { Timestamp } = admin.firestore;
+  let db;
+  let functions;
+
+  const gamesPath = `artifacts/${APP_ID}/public/data/games`;
+  const gameRef = (gameId) => db.doc(`${gamesPath}/${gameId}`);
+  const roomCodeRef = (code) => db.doc(`artifacts/${APP_ID}/public/data/roomCodes/${code}`);
+  const minutesAgo = (minutes) => Timestamp.fromMillis(Date.now() - minutes * MINUTE_MS);
+  const exists = async (ref) => (await ref.get()).exists;
+
+  // Just the fields the cleanup functions look at.
+  const waitingGame = (uid, overrides = {}) => ({
+    player1Id: uid,
+    player2Id: null,
+    opponentType: "human",
+    status: "waiting",
+    visibility: "public",
+    roomCode: null,
+    createdAt: Timestamp.now(),
+    readyAt: null,
+    ...overrides,
+  });
+
+  const raceGame = (hostId, playerIds, overrides = {}) => ({
+    mode: "race",
+    opponentType: "race",
+    hostId,
+    playerIds,
+    status: "waiting",
+    visibility: "public",
+    roomCode: null,
+    createdAt: Timestamp.now(),
+    ...overrides,
+  });
+
+  // Runs `limitWaitingGames` as if `gameId` had just been created.
+  const limitWaitingGames = async (gameId) => functions.limitWaitingGames.run({
+    data: await gameRef(gameId).get(),
+    params: { appId: APP_ID, gameId },
+  });
+
+  beforeEach(async () => {
+    process.env.WAITING_GAME_TTL_MINUTES = "30";
+    process.env.READY_GAME_TTL_MINUTES = "15";
+    process.env.FINISHED_GAME_RETENTION_DAYS = "30";
+    process.env.MAX_WAITING_GAMES_PER_USER = "1";
+    functions = functions || await import("../index.js");
+    db = db || admin.firestore();
+    await db.recursiveDelete(db.collection("artifacts"));
+  });
+
+  after(() => admin.app().delete());
+
+  describe("cleanUpGames", () => {
+    it("deletes waiting games by their server creation time", async () => {
+      await gameRef("old").set(waitingGame("alice", { createdAt: minutesAgo(31) }));
+      await gameRef("fresh").set(waitingGame("bob", { createdAt: minutesAgo(29) }));
+      await functions.cleanUpGames.run({});
+      assert.equal(await exists(gameRef("old")), false);
+      assert.equal(await exists(gameRef("fresh")), true);
+    });
+
+    it("measures ready games from when they became ready", async () => {
+      const createdAt = minutesAgo(60);
+      await gameRef("joined-late").set(waitingGame("alice", { status: "ready", player2Id: "bob", createdAt, readyAt: minutesAgo(5) }));
+      await gameRef("never-started").set(waitingGame("carol", { status: "ready", player2Id: "dave", createdAt, readyAt: minutesAgo(16) }));
+      await functions.cleanUpGames.run({});
+      assert.equal(await exists(gameRef("joined-late")), true);
+      assert.equal(await exists(gameRef("never-started")), false);
+    });
+
+    it("deletes the room code of a deleted private game", async () => {
+      await gameRef("private").set(waitingGame("alice", { visibility: "private", roomCode: "ABCDEF", createdAt: minutesAgo(31) }));
+      await roomCodeRef("ABCDEF").set({ gameId: "private", createdBy: "alice", createdAt: Date.now() });
+      await functions.cleanUpGames.run({});
+      assert.equal(await exists(gameRef("private")), false);
+      assert.equal(await exists(roomCodeRef("ABCDEF")), false);
+    });
+
+    it("deletes finished games past retention and marks their replays as gone", async () => {
+      const matchRef = db.doc(`artifacts/${APP_ID}/users/alice/matches/done`);
+      await gameRef("done").set(waitingGame("alice", {
+        status: "finished",
+        player2Id: "bob",
+        finishedAt: minutesAgo(31 * 24 * 60),
+      }));
+      await gameRef("done").collection("replay").doc("player1").set({ events: [] });
+      await matchRef.set({ gameId: "done" });
+      await functions.cleanUpGames.run({});
+      assert.equal(await exists(gameRef("done")), false);
+      assert.equal(await exists(gameRef("done").collection("replay").doc("player1")), false);
+      assert.equal((await matchRef.get()).data().replayAvailable, false);
+    });
+  });
+
+  describe("limitWaitingGames", () => {
+    it("closes the user's oldest waiting game and its room code", async () => {
+      await gameRef("first").set(waitingGame("alice", { visibility: "private", roomCode: "ABCDEF", createdAt: minutesAgo(10) }));
+      await roomCodeRef("ABCDEF").set({ gameId: "first", createdBy: "alice", createdAt: Date.now() });
+      await gameRef("second").set(waitingGame("alice"));
+      await limitWaitingGames("second");
+      assert.equal(await exists(gameRef("first")), false);
+      assert.equal(await exists(roomCodeRef("ABCDEF")), false);
+      assert.equal(await exists(gameRef("second")), true);
+    });
+
+    it("orders games by server time, not by document ID", async () => {
+      await gameRef("a-newer").set(waitingGame("alice", { createdAt: minutesAgo(1) }));
+      await gameRef("z-older").set(waitingGame("alice", { createdAt: minutesAgo(5) }));
+      await limitWaitingGames("a-newer");
+      assert.equal(await exists(gameRef("z-older")), false);
+      assert.equal(await exists(gameRef("a-newer")), true);
+    });
+
+    it("leaves races other racers have joined", async () => {
+      await gameRef("joined-race").set(raceGame("alice", ["alice", "bob"], { createdAt: minutesAgo(5) }));
+      await gameRef("new-race").set(raceGame("alice", ["alice"]));
+      await limitWaitingGames("new-race");
+      assert.equal(await exists(gameRef("joined-race")), true);
+    });
+
+    it("leaves games of other users", async () => {
+      await gameRef("bobs").set(waitingGame("bob", { createdAt: minutesAgo(5) }));
+      await gameRef("alices").set(waitingGame("alice"));
+      await limitWaitingGames("alices");
+      assert.equal(await exists(gameRef("bobs")), true);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// functions/test/matchmaking.test.js
+//
+// Tests for pairing queued players: the shared rules (functions/shared/matchmaking.js) and, against
+// the Firestore emulator, `joinMatchQueue` creating the game. The emulator tests are skipped unless
+// FIRESTORE_EMULATOR_HOST is set, which `npm test` in the repository root does.
+
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { MATCH_BASE_WINDOW, findMatches, isSameSearch } from "../shared/matchmaking.js";
+
+const { Timestamp } = admin.firestore;
+const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+describe("findMatches", () => {
+  it("pairs two players within the base window, longest waiting first", () => {
+    const now = 1_000_000;
+    const pairs = findMatches([
+      { id: "bob", rating: 1250, joinedAt: now - 1000 },
+      { id: "alice", rating: 1200, joinedAt: now - 5000 },
+    ], now);
+    assert.deepEqual(pairs.map((pair) => pair.map(({ id }) => id)), [["alice", "bob"]]);
+  });
+
+  it("leaves players too far apart unpaired", () => {
+    const now = 1_000_000;
+    const pairs = findMatches([
+      { id: "alice", rating: 1200, joinedAt: now },
+      { id: "bob", rating: 1200 + MATCH_BASE_WINDOW + 1, joinedAt: now },
+    ], now);
+    assert.deepEqual(pairs, []);
+  });
+});
+
+describe("isSameSearch", () => {
+  it("recognises a stored entry from the milliseconds `findMatches` works with", () => {
+    const joinedAt = Timestamp.fromMillis(1_700_000_000_123);
+    // The copy handed to `findMatches` has `joinedAt` in milliseconds; the stored entry keeps a Timestamp.
+    const [[first]] = findMatches([
+      { id: "alice", rating: 1200, joinedAt: joinedAt.toMillis() },
+      { id: "bob", rating: 1200, joinedAt: joinedAt.toMillis() + 1 },
+    ], joinedAt.toMillis());
+    assert.equal(isSameSearch({ status: "searching", joinedAt }, first.joinedAt), true);
+  });
+
+  it("rejects matched, replaced and deleted searches", () => {
+    const joinedAt = Timestamp.fromMillis(5000);
+    assert.equal(isSameSearch({ status: "matched", joinedAt }, 5000), false);
+    assert.equal(isSameSearch({ status: "searching", joinedAt: Timestamp.fromMillis(6000) }, 5000), false);
+    assert.equal(isSameSearch(undefined, 5000), false);
+  });
+});
+
+describe("joinMatchQueue", { skip: !emulated && "needs the Firestore emulator" }, () => {
+  const APP_ID = "test-app";
+  const queuePath = `artifacts/${APP_ID}/public/data/matchQueue`;
+  let db;
+  let functions;
+
+  // Runs `joinMatchQueue` for a search the client has just written.
+  const startSearch = async (uid) => {
+    const entryRef = db.doc(`${queuePath}/${uid}`);
+    await entryRef.set({ status: "searching", createdAt: Timestamp.now() });
+    await functions.joinMatchQueue.run({
+      data: { before: { exists: false }, after: await entryRef.get() },
+      params: { appId: APP_ID, userId: uid },
+    });
+  };
+
+  beforeEach(async () => {
+    functions = functions || await import("../index.js");
+    db = db || admin.firestore();
+    await db.recursiveDelete(db.collection("artifacts"));
+  });
+
+  after(() => admin.app().delete());
+
+  it("creates a game for two compatible queued players", async () => {
+    await db.doc(`${queuePath}/alice`).set({
+      status: "searching",
+      createdAt: Timestamp.now(),
+      rating: 1200,
+      ratingDeviation: 80,
+      name: "alice",
+      avatarSeed: "alice",
+      joinedAt: Timestamp.fromMillis(Date.now() - 5000),
+    });
+    await db.doc(`artifacts/${APP_ID}/users/bob/profile/bob`).set({ elo: 1250, ratingDeviation: 80, displayName: "bob" });
+    await startSearch("bob");
+
+    const alice = (await db.doc(`${queuePath}/alice`).get()).data();
+    const bob = (await db.doc(`${queuePath}/bob`).get()).data();
+    assert.equal(alice.status, "matched");
+    assert.equal(bob.status, "matched");
+    assert.equal(alice.gameId, bob.gameId);
+    const game = (await db.doc(`artifacts/${APP_ID}/public/data/games/${alice.gameId}`).get()).data();
+    assert.equal(game.player1Id, "alice");
+    assert.equal(game.player2Id, "bob");
+    assert.equal(game.status, "ready");
+  });
+});
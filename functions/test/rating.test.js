@@ -0,0 +1,265 @@
+// functions/test/rating.test.js
+//
+// Unit tests for the shared rating math (functions/shared/rating.js). Run with `npm test`.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { BOT_PROFILES } from "../shared/bots.js";
+import {
+  BOT_RATINGS,
+  BOT_RATING_DEVIATION,
+  STARTING_ELO,
+  calculateNewElo,
+  getBotRating,
+  getEloOrDefault,
+  getExpectedScore,
+  getGameResult,
+  isBotOpponent,
+  isProvisional,
+  rateGame,
+  rateRace,
+  toZeroSumRatings,
+} from "../shared/rating.js";
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe("getExpectedScore", () => {
+  it("is even between equal ratings", () => {
+    assert.equal(getExpectedScore(1200, 1200), 0.5);
+  });
+
+  it("gives 10 to 1 odds for a 400-point gap", () => {
+    assert.ok(Math.abs(getExpectedScore(1600, 1200) - 10 / 11) < 1e-12);
+  });
+
+  it("adds up to 1 for both players", () => {
+    assert.ok(Math.abs(getExpectedScore(850, 1320) + getExpectedScore(1320, 850) - 1) < 1e-12);
+  });
+});
+
+describe("getGameResult", () => {
+  it("counts wins, losses and draws in outcome mode", () => {
+    assert.equal(getGameResult(40, 30, "outcome"), 1);
+    assert.equal(getGameResult(30, 40, "outcome"), 0);
+    assert.equal(getGameResult(35, 35, "outcome"), 0.5);
+  });
+
+  it("counts only the outcome by default", () => {
+    assert.equal(getGameResult(31, 30), 1);
+    assert.equal(getGameResult(10, 60), 0);
+  });
+
+  it("counts equal scores as a draw in margin mode, including 0-0", () => {
+    assert.equal(getGameResult(35, 35, "margin"), 0.5);
+    assert.equal(getGameResult(0, 0, "margin"), 0.5);
+  });
+
+  it("rewards a clear lead more than a narrow one in margin mode", () => {
+    const narrow = getGameResult(31, 30, "margin");
+    const clear = getGameResult(60, 10, "margin");
+    assert.ok(narrow > 0.5 && narrow < clear && clear < 1);
+    assert.ok(Math.abs(getGameResult(30, 31, "margin") - (1 - narrow)) < 1e-12);
+  });
+});
+
+describe("calculateNewElo", () => {
+  it("leaves a draw between equal ratings unchanged", () => {
+    assert.deepEqual(calculateNewElo(1200, 1200, 0.5), { newEloA: 1200, newEloB: 1200 });
+  });
+
+  it("moves equal ratings by half the K-factor on a win", () => {
+    assert.deepEqual(calculateNewElo(1200, 1200, 1), { newEloA: 1216, newEloB: 1184 });
+  });
+
+  it("rounds once and stays zero-sum", () => {
+    const { newEloA, newEloB } = calculateNewElo(1234.4, 987.6, 0.3);
+    assert.ok(Number.isInteger(newEloA) && Number.isInteger(newEloB));
+    assert.equal(newEloA + newEloB, Math.round(1234.4) + Math.round(987.6));
+  });
+
+  it("gives an underdog more for a draw than it costs the favourite to win", () => {
+    const draw = calculateNewElo(1000, 1400, 0.5);
+    const loss = calculateNewElo(1000, 1400, 0);
+    assert.ok(draw.newEloA > 1000);
+    assert.ok(1000 - loss.newEloA < draw.newEloA - 1000);
+  });
+});
+
+describe("getEloOrDefault", () => {
+  it("falls back to the starting rating for players without one", () => {
+    assert.equal(getEloOrDefault(undefined), STARTING_ELO);
+    assert.equal(getEloOrDefault(NaN), STARTING_ELO);
+    assert.equal(getEloOrDefault(1350), 1350);
+  });
+});
+
+describe("bots", () => {
+  it("have the rating of their skill model", () => {
+    for (const bot of Object.values(BOT_PROFILES)) {
+      assert.equal(BOT_RATINGS[bot.id], bot.rating);
+      assert.equal(getBotRating(bot.id), bot.rating);
+      assert.ok(isBotOpponent(bot.id));
+    }
+  });
+
+  it("are only the known levels", () => {
+    assert.equal(getBotRating("bot-99"), null);
+    assert.equal(getBotRating("human"), null);
+    assert.equal(isBotOpponent("bot-99"), false);
+    assert.equal(isBotOpponent("human"), false);
+  });
+
+  it("are never re-rated", () => {
+    const ratings = rateGame({
+      player1: { elo: 1200 },
+      opponentType: "bot-1200",
+      player1Score: 40,
+      player2Score: 20,
+      now: 0,
+    });
+    assert.ok(ratings.player1.elo > 1200);
+    assert.equal(ratings.player2.elo, getBotRating("bot-1200"));
+    assert.equal(ratings.player2.ratingDeviation, BOT_RATING_DEVIATION);
+  });
+
+  it("leave games against an unknown bot unrated", () => {
+    const ratings = rateGame({
+      player1: { elo: 200 },
+      player2: { elo: 200 },
+      opponentType: "bot-99",
+      player1Score: 40,
+      player2Score: 0,
+    });
+    assert.equal(ratings, null);
+  });
+});
+
+describe("toZeroSumRatings", () => {
+  it("keeps the total rating while preserving the order of the changes", () => {
+    const ratings = toZeroSumRatings([1500, 1500], [1502, 1476]);
+    assert.equal(sum(ratings), 3000);
+    assert.ok(ratings[0] > 1500 && ratings[1] < 1500);
+  });
+
+  it("rounds to whole points that still add up", () => {
+    const before = [1200.4, 987, 1500, 640];
+    const ratings = toZeroSumRatings(before, [1231.7, 979.2, 1488.9, 651.3]);
+    assert.ok(ratings.every(Number.isInteger));
+    assert.equal(sum(ratings), sum(before.map(Math.round)));
+  });
+});
+
+const established = (elo) => ({ elo, ratingDeviation: 60, volatility: 0.06, lastRatedAt: 0 });
+
+describe("Elo rating", () => {
+  it("is zero-sum between humans", () => {
+    const cases = [
+      [{ elo: 1500 }, { elo: 1500 }, 40, 30],
+      [established(1800), { elo: 900 }, 12, 45],
+      [established(1320), established(1290), 33, 33],
+    ];
+    for (const [player1, player2, player1Score, player2Score] of cases) {
+      const ratings = rateGame({ player1, player2, opponentType: "human", player1Score, player2Score, now: 0, system: "elo" });
+      assert.equal(ratings.player1.elo + ratings.player2.elo, player1.elo + player2.elo);
+    }
+  });
+
+  it("is zero-sum for forfeits", () => {
+    const ratings = rateGame({
+      player1: { elo: 1500 },
+      player2: established(1400),
+      opponentType: "human",
+      player1Score: 50,
+      player2Score: 10,
+      forfeitedBy: "player1",
+      now: 0,
+      system: "elo",
+    });
+    assert.ok(ratings.player1.elo < 1500);
+    assert.equal(ratings.player1.elo + ratings.player2.elo, 2900);
+  });
+
+  it("is zero-sum within a race", () => {
+    const racers = [
+      { profile: established(1500), place: 1 },
+      { profile: { elo: 1500 }, place: 2 },
+      { profile: established(1100), place: 2 },
+      { profile: undefined, place: 4 },
+    ];
+    const ratings = rateRace(racers, 0, "elo").map(({ elo }) => elo);
+    assert.equal(sum(ratings), 1500 + 1500 + 1100 + STARTING_ELO);
+    assert.ok(ratings[0] > 1500);
+  });
+
+  it("stamps when each player was rated, for the period leaderboards", () => {
+    const now = 1_700_000_000_000;
+    const ratings = rateGame({ player1: { elo: 1500 }, player2: { elo: 1500 }, opponentType: "human", player1Score: 40, player2Score: 30, now, system: "elo" });
+    assert.equal(ratings.player1.lastRatedAt, now);
+    assert.equal(ratings.player2.lastRatedAt, now);
+    const racers = [{ profile: { elo: 1500 }, place: 1 }, { profile: { elo: 1500 }, place: 2 }, { profile: undefined, place: 3 }];
+    assert.ok(rateRace(racers, now, "elo").every((fields) => fields.lastRatedAt === now));
+  });
+});
+
+describe("Glicko-2 rating", () => {
+  it("barely moves an established player who loses to a provisional one", () => {
+    const ratings = rateGame({
+      player1: {},
+      player2: established(1500),
+      opponentType: "human",
+      player1Score: 40,
+      player2Score: 10,
+      now: 0,
+      system: "glicko2",
+    });
+    assert.ok(1500 - ratings.player2.elo < 20, `established player at ${ratings.player2.elo}`);
+    assert.ok(ratings.player1.elo - STARTING_ELO > 200, `provisional player at ${ratings.player1.elo}`);
+  });
+
+  it("barely moves an established racer who places behind provisional ones", () => {
+    const racers = [
+      { profile: undefined, place: 1 },
+      { profile: undefined, place: 2 },
+      { profile: established(1500), place: 3 },
+    ];
+    const [first, , third] = rateRace(racers, 0, "glicko2");
+    assert.ok(1500 - third.elo < 40, `established racer at ${third.elo}`);
+    assert.ok(first.elo > STARTING_ELO);
+  });
+
+  it("still narrows the deviation of both players", () => {
+    const ratings = rateGame({ player1: {}, player2: {}, opponentType: "human", player1Score: 30, player2Score: 20, now: 0 });
+    assert.ok(ratings.player1.ratingDeviation < 350 && ratings.player2.ratingDeviation < 350);
+  });
+
+  it("converges on a new player's strength", () => {
+    // A new player who draws every game against established 1500 players.
+    let profile = {};
+    for (let game = 0; game < 40; game++) {
+      profile = rateGame({
+        player1: profile,
+        player2: established(1500),
+        opponentType: "human",
+        player1Score: 30,
+        player2Score: 30,
+        now: game * 60 * 1000,
+      }).player1;
+    }
+    assert.ok(Math.abs(profile.elo - 1500) < 100, `rating ${profile.elo}`);
+    assert.ok(!isProvisional(profile.ratingDeviation));
+  });
+
+  it("converges on a bot's rating against that bot", () => {
+    let profile = {};
+    for (let game = 0; game < 40; game++) {
+      profile = rateGame({
+        player1: profile,
+        opponentType: "bot-1200",
+        player1Score: 25,
+        player2Score: 25,
+        now: game * 60 * 1000,
+      }).player1;
+    }
+    assert.ok(Math.abs(profile.elo - getBotRating("bot-1200")) < 100, `rating ${profile.elo}`);
+  });
+});
@@ -7,115 +7,267 @@
 // user authentication (anonymous), and Elo rating persistence.
 //
 // STRUCTURE:
-// - Imports: React hooks, Firebase SDK modules.
-// - Constants: Game duration, Elo factors, bot speeds.
+// - Imports: React hooks, React Router, Firebase SDK modules, shared game settings helpers, bot
+//            profiles, rating math, matchmaking, race and presence rules (`functions/shared/`,
+//            also used by the Cloud Functions).
+// - Constants: Timer fallback delay, room code format, email sign-in storage key.
 // - FirebaseContext: React Context for sharing Firebase instances and user ID.
-// - Utility Functions: `generateProblem`.
+// - Utility Functions: Timer helpers, room code generation, avatar hashing, match and game
+//                      statistics, rating change for a finished game.
 // - MessageBox Component: Custom modal for user notifications.
-// - AuthWrapper Component: Handles Firebase initialization and user authentication.
-// - GameLobby Component: Manages game creation (human/bot) and joining existing games.
+// - AuthWrapper Component: Handles Firebase initialization (with a persistent offline cache) and
+//                          user authentication.
+// - Avatar Component: Generated avatar image for a player.
+// - AccountPanel Component: Upgrades the anonymous account with email/password or an email link.
+// - ProfileEditor Component: Display name and avatar setup.
+// - ProfileGate Component: Requires a display name before the lobby, and finishes email link sign-in.
+// - GameSettingsForm Component: Presets, operation toggles, operand ranges and duration picker.
+// - FindMatchPanel Component: Joins the rating-based matchmaking queue and follows the search.
+// - GameLobby Component: Manages game creation (human/bot, public/private, single game or
+//                        best-of-N series, multiplayer races), matchmaking,
+//                        joining existing games by list or room code, watching live games, and
+//                        rejoining the user's own unfinished game.
+// - RatingChart Component: Line chart of a player's rating over their match history.
+// - StatsPage Component: Match history and statistics (`/stats`).
+// - LeaderboardPage Component: Rating and high-score boards with the user's own rank (`/leaderboard`).
+// - ScoreChart Component: Score-over-time chart for both players of a game.
+// - ScoreBoard / ProblemPanel Components: The game layout shared by GameRoom and ReplayViewer.
+// - SeriesPanel Component: Best-of-N series score, and the series summary once it is decided.
+// - GameResults Component: Post-game result, rating change, per-problem breakdown and rematch offers.
+// - RaceScoreboard / RaceResults Components: Live ranking and final standings of a 3-8 player race.
+// - ReplayViewer Component: Plays back a finished game from its event log, with JSON export.
 // - GameRoom Component: Contains the core game logic, problem solving, timer,
-//                       real-time score updates, and bot simulation.
-// - App Component: The main entry point, managing navigation between lobby and game room.
+//                       and real-time score updates. Answers are checked locally to
+//                       move on at once, then confirmed in order by the `submitAnswer`
+//                       Cloud Function; bots play on the server.
+//                       Anyone else who opens a game watches it read-only. Players send
+//                       presence heartbeats; a disconnected player forfeits after a grace period.
+// - PracticeRoom Component: Solo, unrated practice run entirely in the browser (works offline),
+//                           with personal bests per settings preset.
+// - App Component: The main entry point, routing between the lobby (`/`), game rooms
+//                  (`/game/:gameId`, or `/watch/:gameId` to spectate), replays (`/replay/:gameId`),
+//                  invite links (`/join/:code`), stats (`/stats`), leaderboards (`/leaderboard`)
+//                  and practice (`/practice`).
 //
 // USAGE NOTES:
 // - For local development, ensure your Firebase project details are filled in
 //   the `localAppId` and `localFirebaseConfig` variables within `AuthWrapper`.
-// - Ensure Firebase Firestore Security Rules are configured correctly for read/write access.
+// - Firestore Security Rules live in `firestore.rules`; scores, answers and ratings are
+//   only writable by the Cloud Functions in `functions/`.
 // - Global CSS (like `body` styles, animations) should ideally be in `index.html` or `index.css`.
 // ============================================================================
 
 // --- Module Imports ---
 // React Core Imports: Essential hooks for building functional components
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+import React, { useState, useEffect, createContext, useContext, useRef, useCallback, useMemo } from 'react';
+// React Router Imports: URL routing between the lobby, game rooms and invite links
+import { BrowserRouter, Routes, Route, Navigate, useNavigate, useParams, useMatch } from 'react-router-dom';
 // Firebase Core Imports: Functions for initializing Firebase and accessing services
 import { initializeApp } from 'firebase/app';
 // Firebase Authentication Imports: Functions for user authentication
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, onIdTokenChanged, signOut,
+  EmailAuthProvider, linkWithCredential, signInWithEmailAndPassword,
+  sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink,
+} from 'firebase/auth';
 // Firebase Firestore Imports: Functions for database operations
-import { getFirestore, doc, getDoc, setDoc, updateDoc, onSnapshot, collection, query, where, addDoc, getDocs } from 'firebase/firestore';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, doc, getDoc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, orderBy, limit, addDoc, getDocs, runTransaction, serverTimestamp } from 'firebase/firestore';
+// Firebase Functions Imports: Callable Cloud Functions (answer checking happens on the server)
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Shared Game Logic: Settings and problem helpers shared with the Cloud Functions
+import { GAME_DURATION_OPTIONS, OPERATIONS, DEFAULT_GAME_SETTINGS, GAME_PRESETS, normalizeGameSettings, describeGameSettings, createSeededRandom, generateProblem, getProblemAnswer, getGamePresetId } from '../functions/shared/problems.js';
+import { BOT_PROFILES, getBotProfile } from '../functions/shared/bots.js';
+// Shared Rating Logic: Elo/Glicko-2 math and starting/bot ratings, identical to what the Cloud Functions use
+import { STARTING_ELO, INITIAL_RATING_DEVIATION, BOT_RATING_DEVIATION, getGlickoPlayer, isProvisional, rateGame, rateRace } from '../functions/shared/rating.js';
+// Shared Matchmaking Rules: The rating window the server uses to pair queued players
+import { MATCH_TIMEOUT_MS, getMatchWindow } from '../functions/shared/matchmaking.js';
+// Shared Profile Helpers: Display name rules and the public identity copied onto games
+import { isValidDisplayName, getDisplayNameKey, getPublicIdentity, formatPlayerName } from '../functions/shared/profiles.js';
+// Shared Leaderboard Definitions: Board ids and labels, ranked on the server by `updateLeaderboards`
+import { LEADERBOARDS, LEADERBOARD_SIZE } from '../functions/shared/leaderboards.js';
+// Shared Replay Format: The event log recorded by `applyAnswer`, and how to play it back
+import { buildReplay, getReplayStateAt } from '../functions/shared/replay.js';
+// Shared Series Rules: Best-of-N lengths offered in the lobby
+import { SERIES_LENGTHS } from '../functions/shared/series.js';
+// Shared Race Rules: Race size limits, per-player state and standings
+import { RACE_MIN_PLAYERS, RACE_MAX_PLAYERS, isRace, isGamePlayer, getPlayerState, getRaceStandings } from '../functions/shared/races.js';
+// Shared Presence Rules: Heartbeat interval and the grace period before a disconnected player forfeits
+import { PRESENCE_HEARTBEAT_MS, getForfeitDeadline } from '../functions/shared/presence.js';
 
 
 // --- Constants ---
-// Game duration in seconds
-const GAME_DURATION_SECONDS = 120; // 2 minutes
+// How long a client waits after its timer hits zero before asking the server to end the game.
+// The server normally ends it on time via a Cloud Task; this only covers a late or lost task.
+const END_GAME_FALLBACK_DELAY_MS = 3000;
 
-// Elo Rating System Configuration
-const ELO_K_FACTOR = 32; // K-factor determines how much Elo changes after a match. Higher K means bigger swings.
-const STARTING_ELO = 200; // Initial Elo rating for new players.
+// Private rooms are joined with a short code. I and O are left out so codes read unambiguously;
+// `firestore.rules` checks the same format.
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 6;
+// How many fresh codes to try if a generated code is already taken.
+const ROOM_CODE_ATTEMPTS = 5;
 
-// Bot Speed Configuration (in milliseconds per problem solved)
-const BOT_1000_SPEED_MS = 3000; // Bot with 1000 Elo solves a question every 3 seconds
-const BOT_2000_SPEED_MS = 1500; // Bot with 2000 Elo solves a question every 1.5 seconds
+// Where the address an email sign-in link was sent to is kept until the link is opened.
+const EMAIL_FOR_SIGN_IN_KEY = 'zetamacEmailForSignIn';
 
+// Replay playback speeds, and how long answer feedback stays visible during playback.
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_FEEDBACK_MS = 500;
 
 // --- React Context for Firebase and User ---
 // This context provides Firebase `db` (Firestore instance), `auth` (Auth instance),
-// and `userId` to any nested component without prop drilling.
+// `functions` (Cloud Functions instance) and `userId` to any nested component without prop drilling.
 const FirebaseContext = createContext(null);
 
 
 // --- Utility Functions ---
 
 /**
- * Generates a random arithmetic problem (addition, subtraction, multiplication, or division)
- * based on specified difficulty ranges.
- * - Addition/Subtraction: Numbers from 2 to 100.
- * - Multiplication: One factor from 2-12, other from 2-100.
- * - Division: Inverse of multiplication, ensuring whole number results, with divisor 2-12.
- * @returns {{problem: string, answer: number}} An object containing the problem string and its correct answer.
- */
-const generateProblem = () => {
-  const operations = ['+', '-', '*', '/'];
-  const operation = operations[Math.floor(Math.random() * operations.length)]; // Randomly pick an operation
-  let num1, num2, answer;
-
-  switch (operation) {
-    case '+':
-    case '-':
-      // Generate numbers for addition and subtraction between 2 and 100.
-      num1 = Math.floor(Math.random() * 99) + 2; // (0-98) + 2 => 2-100
-      num2 = Math.floor(Math.random() * 99) + 2; // (0-98) + 2 => 2-100
-      if (num1 < num2) {
-        [num1, num2] = [num2, num1]; // Swap numbers if num1 is smaller
-      }
-      answer = (operation === '+') ? num1 + num2 : num1 - num2; // Calculate answer
-      break;
-
-    case '*':
-      // Generate factors for multiplication.
-      let factor1 = Math.floor(Math.random() * 11) + 2; // Factor 1: (0-10) + 2 => 2-12
-      let factor2 = Math.floor(Math.random() * 99) + 2; // Factor 2: (0-98) + 2 => 2-100
-      // Randomly assign factors to num1 and num2 for varied problem appearance.
-      if (Math.random() < 0.5) {
-        num1 = factor1;
-        num2 = factor2;
-      } else {
-        num1 = factor2;
-        num2 = factor1;
-      }
-      answer = num1 * num2; // Calculate answer
-      break;
-
-    case '/':
-      // Generate division problems by first creating a multiplication result
-      // and then reversing it, ensuring a whole number quotient.
-      let divisor = Math.floor(Math.random() * 11) + 2; // Divisor (num2) will be between 2-12
-      let quotient = Math.floor(Math.random() * 99) + 2; // Quotient will be between 2-100
-      num1 = divisor * quotient; // Dividend (num1) is the product
-      num2 = divisor;          // Divisor (num2) is the chosen factor (2-12)
-      answer = quotient;        // The answer is the calculated quotient
-      break;
-
-    default:
-      // Fallback in case an unexpected operation is chosen (should not happen).
-      num1 = 0;
-      num2 = 0;
-      answer = 0;
-      break;
+ * Formats a duration in milliseconds as m:ss.
+ * @param {number} ms - The duration.
+ * @returns {string} e.g. "1:05".
+ */
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Generates a random room code, e.g. "KXPRTA".
+ * @returns {string} ROOM_CODE_LENGTH letters from ROOM_CODE_ALPHABET.
+ */
+const generateRoomCode = () => {
+  const values = crypto.getRandomValues(new Uint32Array(ROOM_CODE_LENGTH));
+  return Array.from(values, (value) => ROOM_CODE_ALPHABET[value % ROOM_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Returns the invite link for a private room.
+ * @param {string} roomCode - The room code.
+ * @returns {string} An absolute `/join/:code` URL.
+ */
+const getInviteLink = (roomCode) => `${window.location.origin}/join/${roomCode}`;
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a), e.g. to seed an avatar.
+ * @param {string} text - The text to hash.
+ * @returns {number} The hash.
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Summarizes a player's match history (entries written by `calculateEloOnGameEnd`).
+ * @param {object[]} matches - Match-history entries, oldest first.
+ * @returns {{record: {win: number, loss: number, draw: number}, best: object|null,
+ *   ratingHistory: number[], operationAverages: object, headToHead: object[]}}
+ *   The win/loss/draw record, the highest-scoring match, the rating after each match (starting
+ *   with the rating before the first), the average problems solved per game for each operation
+ *   (over the games that included it) and the records against the most frequent opponents.
+ */
+const summarizeMatches = (matches) => {
+  const record = { win: 0, loss: 0, draw: 0 };
+  const operationTotals = {};
+  const opponents = {};
+  let best = null;
+
+  for (const match of matches) {
+    record[match.result]++;
+    if (!best || match.score > best.score) best = match;
+
+    for (const [operation, solved] of Object.entries(match.solvedByOperation || {})) {
+      const totals = operationTotals[operation] || { solved: 0, games: 0 };
+      operationTotals[operation] = { solved: totals.solved + solved, games: totals.games + 1 };
+    }
+
+    // Races have no single opponent. Bots of one level count as one opponent.
+    if (match.opponentType === 'race') continue;
+    const opponentKey = match.opponentType === 'human' ? match.opponentId : match.opponentType;
+    const opponent = opponents[opponentKey] || { key: opponentKey, win: 0, loss: 0, draw: 0, games: 0 };
+    opponents[opponentKey] = {
+      ...opponent,
+      name: formatPlayerName(match.opponentName, match.opponentId),
+      avatarSeed: match.opponentAvatarSeed || match.opponentId,
+      [match.result]: opponent[match.result] + 1,
+      games: opponent.games + 1,
+    };
+  }
+
+  const operationAverages = Object.fromEntries(
+    Object.entries(operationTotals).map(([operation, { solved, games }]) => [operation, { average: solved / games, games }])
+  );
+  const headToHead = Object.values(opponents).sort((a, b) => b.games - a.games).slice(0, 5);
+  const ratingHistory = matches.length > 0
+    ? [matches[0].ratingBefore, ...matches.map((match) => match.ratingAfter)]
+    : [];
+  return { record, best, ratingHistory, operationAverages, headToHead };
+};
+
+/**
+ * Summarizes one player's telemetry for a game (written by `applyAnswer` on the server).
+ * @param {object[]} problems - Solved problems: `{ problem, operation, solveMs, wrongAttempts, solvedAt }`.
+ * @returns {{slowest: object[], averageMsByOperation: object, wrongAttempts: number}} The five
+ *   slowest problems, the average solve time per operation and the total wrong attempts.
+ */
+const summarizeTelemetry = (problems) => {
+  const totals = {};
+  for (const { operation, solveMs } of problems) {
+    const total = totals[operation] || { ms: 0, count: 0 };
+    totals[operation] = { ms: total.ms + solveMs, count: total.count + 1 };
+  }
+  return {
+    slowest: [...problems].sort((a, b) => b.solveMs - a.solveMs).slice(0, 5),
+    averageMsByOperation: Object.fromEntries(
+      Object.entries(totals).map(([operation, { ms, count }]) => [operation, ms / count])
+    ),
+    wrongAttempts: problems.reduce((sum, { wrongAttempts }) => sum + wrongAttempts, 0),
+  };
+};
+
+/**
+ * Returns a player's rating before and after a finished game. Until `calculateEloOnGameEnd`
+ * has run, the new rating is previewed with the same shared rating math the function uses.
+ * @param {object} game - The finished game document data.
+ * @param {string} playerKey - 'player1' or 'player2'.
+ * @returns {{before: number, after: number, estimated: boolean}} The ratings.
+ */
+const getRatingChange = (game, playerKey) => {
+  const before = game[`${playerKey}EloAtStart`];
+  if (game.eloCalculated) {
+    return { before, after: game[`${playerKey}NewElo`], estimated: false };
   }
-  // Return the problem string and its numerical answer.
-  return { problem: `${num1} ${operation} ${num2}`, answer };
+  const ratings = rateGame({
+    player1: { elo: game.player1EloAtStart, ratingDeviation: game.player1DeviationAtStart },
+    player2: { elo: game.player2EloAtStart, ratingDeviation: game.player2DeviationAtStart },
+    opponentType: game.opponentType,
+    player1Score: game.player1Score,
+    player2Score: game.player2Score,
+    forfeitedBy: game.forfeitedBy ? (game.forfeitedBy === game.player1Id ? 'player1' : 'player2') : null,
+  });
+  return { before, after: ratings ? ratings[playerKey].elo : before, estimated: true };
+};
+
+/**
+ * Returns the whole seconds left until a point in time.
+ * @param {number} millis - The end time in milliseconds.
+ * @returns {number} Seconds remaining, never negative.
+ */
+const getSecondsUntil = (millis) => Math.max(0, Math.ceil((millis - Date.now()) / 1000));
+
+/**
+ * Returns the whole seconds left in a game, based on the server-set `endTime`.
+ * Falls back to the full duration while the game has not started yet.
+ * @param {object} game - The game document data.
+ * @returns {number} Seconds remaining, never negative.
+ */
+const getSecondsLeft = (game) => {
+  if (!game?.endTime) return normalizeGameSettings(game?.settings).duration;
+  return getSecondsUntil(game.endTime.toMillis());
 };
 
 
@@ -166,7 +318,7 @@ const MessageBox = ({ isOpen, title, message, onClose, showCancel = false, onCon
 
 /**
  * AuthWrapper Component: Handles Firebase initialization and manages authentication state.
- * It provides the `db`, `auth`, and `userId` instances via React Context to its children.
+ * It provides the `db`, `auth`, `functions`, and `userId` instances via React Context to its children.
  * It also handles anonymous sign-in or custom token sign-in as provided by the environment.
  * @param {object} props - Component props.
  * @param {React.ReactNode} props.children - Child components that need Firebase access.
@@ -174,6 +326,7 @@ const MessageBox = ({ isOpen, title, message, onClose, showCancel = false, onCon
 const AuthWrapper = ({ children }) => {
   const [db, setDb] = useState(null); // Firestore instance
   const [auth, setAuth] = useState(null); // Firebase Auth instance
+  const [functions, setFunctions] = useState(null); // Cloud Functions instance (for callables)
   const [userId, setUserId] = useState(null); // Current authenticated user's ID
   const [loading, setLoading] = useState(true); // Loading state for Firebase initialization
   const [error, setError] = useState(null); // Error state for initialization failures
@@ -187,7 +340,7 @@ const AuthWrapper = ({ children }) => {
       // are globally available.
       // For local development, we use `localAppId` and `localFirebaseConfig` placeholders.
       // You MUST replace these placeholders with your actual Firebase project details.
-      const localAppId = 'zetamac-multiplayer-game-1096642033412'; // Replace with your Firebase Project ID
+      const localAppId = 'zetamac-multiplayer-game'; // Must match the appId fallback used by the components
       const localFirebaseConfig = {
         /* apiKey: OPENAI_API_KEY, // Replace with your Firebase API Key
         authDomain: "zetamac-multiplayer-game.firebaseapp.com", // Replace with your Auth Domain
@@ -226,11 +379,17 @@ const AuthWrapper = ({ children }) => {
       // Initialize the Firebase App with the provided configuration.
       const app = initializeApp(firebaseConfig);
       const authInstance = getAuth(app); // Get the Auth service instance.
-      const dbInstance = getFirestore(app); // Get the Firestore service instance.
+      // Get the Firestore service instance. Documents are cached in IndexedDB so that profiles load
+      // and practice bests are saved (once back online) while Firestore is unreachable.
+      const dbInstance = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
+      const functionsInstance = getFunctions(app); // Get the Cloud Functions service instance.
 
       // Store the initialized instances in state.
       setAuth(authInstance);
       setDb(dbInstance);
+      setFunctions(functionsInstance);
 
       // Set up an authentication state change listener. This runs whenever user's auth status changes.
       const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
@@ -325,7 +484,7 @@ const AuthWrapper = ({ children }) => {
 
   // If Firebase is initialized and user is authenticated, provide context to children.
   return (
-    <FirebaseContext.Provider value={{ db, auth, userId }}>
+    <FirebaseContext.Provider value={{ db, auth, functions, userId }}>
       {children}
     </FirebaseContext.Provider>
   );
@@ -333,27 +492,527 @@ const AuthWrapper = ({ children }) => {
 
 
 /**
- * GameLobby Component: Allows players to create new games (Vs Human or Vs Bots)
- * or join existing waiting games.
+ * GameSettingsForm Component: Lets the game creator choose which operations are used,
+ * the operand ranges for each operation and the game duration, like Zetamac's start page.
+ * Presets fill in a named configuration; high scores are only compared within a preset.
+ * @param {object} props - Component props.
+ * @param {object} props.settings - The current settings (see `DEFAULT_GAME_SETTINGS`).
+ * @param {function} props.onChange - Called with the updated settings object on every edit.
+ */
+const GameSettingsForm = ({ settings, onChange }) => {
+  // Updates a single operation's field while keeping the rest of the settings intact.
+  const updateOperation = (key, changes) => {
+    onChange({
+      ...settings,
+      operations: { ...settings.operations, [key]: { ...settings.operations[key], ...changes } },
+    });
+  };
+
+  // Updates one bound of one operand range, e.g. ('addition', 'left', 'max', '50').
+  const updateRange = (key, side, bound, value) => {
+    const range = { ...settings.operations[key][side], [bound]: value === '' ? '' : Number(value) };
+    updateOperation(key, { [side]: range });
+  };
+
+  const rangeInputClass = "w-20 p-2 bg-gray-700 text-white border border-gray-600 rounded-lg text-center focus:ring-2 focus:ring-blue-500 focus:outline-none";
+  const activePresetId = getGamePresetId(settings);
+
+  return (
+    <div className="mb-6 space-y-3 text-gray-200">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(GAME_PRESETS).map(([presetId, preset]) => (
+          <button
+            key={presetId}
+            onClick={() => onChange(normalizeGameSettings(preset.settings))}
+            className={`py-1 px-3 rounded-lg text-sm font-semibold transition ${presetId === activePresetId ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      {Object.entries(OPERATIONS).map(([key, op]) => {
+        const opSettings = settings.operations[key];
+        return (
+          <div key={key} className="bg-gray-700 p-3 rounded-xl border border-gray-600">
+            <label className="flex items-center space-x-2 font-semibold">
+              <input
+                type="checkbox"
+                checked={opSettings.enabled}
+                onChange={(e) => updateOperation(key, { enabled: e.target.checked })}
+              />
+              <span>{op.label} ({op.symbol})</span>
+            </label>
+            {opSettings.enabled && (
+              <div className="mt-2 space-y-1 text-sm">
+                {['left', 'right'].map((side) => (
+                  <div key={side} className="flex items-center justify-between">
+                    <span className="text-gray-400">{side === 'left' ? op.leftLabel : op.rightLabel}</span>
+                    <span className="space-x-2">
+                      <input type="number" className={rangeInputClass} value={opSettings[side].min} onChange={(e) => updateRange(key, side, 'min', e.target.value)} />
+                      <span>to</span>
+                      <input type="number" className={rangeInputClass} value={opSettings[side].max} onChange={(e) => updateRange(key, side, 'max', e.target.value)} />
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <label className="flex items-center justify-between font-semibold">
+        <span>Duration</span>
+        <select
+          value={settings.duration}
+          onChange={(e) => onChange({ ...settings, duration: Number(e.target.value) })}
+          className="p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none"
+        >
+          {GAME_DURATION_OPTIONS.map((seconds) => (
+            <option key={seconds} value={seconds}>{seconds} seconds</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+
+/**
+ * Avatar Component: A generated, symmetric 5x5 pixel avatar. The same seed always gives the
+ * same picture, so only the seed needs to be stored.
+ * @param {object} props - Component props.
+ * @param {string} props.seed - The avatar seed (see `getPublicIdentity`).
+ * @param {number} [props.size=40] - Width and height in pixels.
+ */
+const Avatar = ({ seed, size = 40 }) => {
+  const random = createSeededRandom(hashString(seed || ''));
+  const hue = Math.floor(random() * 360);
+  const cells = [];
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (random() < 0.5) continue;
+      cells.push([col, row]);
+      if (col < 2) cells.push([4 - col, row]); // Mirror the left columns onto the right.
+    }
+  }
+  return (
+    <svg width={size} height={size} viewBox="-1 -1 7 7" className="inline-block flex-shrink-0 rounded-full" style={{ background: `hsl(${hue}, 30%, 22%)` }} aria-hidden="true">
+      {cells.map(([x, y]) => <rect key={`${x}-${y}`} x={x} y={y} width="1" height="1" fill={`hsl(${hue}, 70%, 62%)`} />)}
+    </svg>
+  );
+};
+
+
+/**
+ * AccountPanel Component: Lets an anonymous player keep their rating and history by adding an
+ * email address to their account. Linking keeps the same user ID, so nothing is lost. Players
+ * who already have an account can sign in to it instead, leaving the anonymous one behind.
+ */
+const AccountPanel = () => {
+  const { auth } = useContext(FirebaseContext);
+  const [account, setAccount] = useState(null); // { isAnonymous, email } of the current user
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState({ error: '', message: '' });
+
+  // useEffect hook to follow the signed-in account, including upgrades from anonymous.
+  useEffect(() => {
+    if (!auth) return;
+    const unsubscribe = onIdTokenChanged(auth, (user) => {
+      setAccount(user ? { isAnonymous: user.isAnonymous, email: user.email } : null);
+    });
+    return () => unsubscribe();
+  }, [auth]);
+
+  // Runs an account action and reports its outcome.
+  const run = async (action, successMessage) => {
+    setStatus({ error: '', message: '' });
+    try {
+      await action();
+      setStatus({ error: '', message: successMessage });
+      setPassword('');
+    } catch (e) {
+      console.error("Account error:", e);
+      const messages = {
+        'auth/email-already-in-use': 'That email already has an account. Use Sign In instead.',
+        'auth/credential-already-in-use': 'That email already has an account. Use Sign In instead.',
+        'auth/invalid-credential': 'Wrong email or password.',
+        'auth/weak-password': 'Please choose a password of at least 6 characters.',
+        'auth/invalid-email': 'Please enter a valid email address.',
+      };
+      setStatus({ error: messages[e.code] || e.message, message: '' });
+    }
+  };
+
+  // Upgrades the anonymous account with an email and password.
+  const createAccount = () => run(
+    () => linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password)),
+    'Account saved. Sign in with this email to play from any device.'
+  );
+
+  // Emails a sign-in link; `ProfileGate` completes the upgrade when the link is opened.
+  const sendLink = () => run(async () => {
+    await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}/`, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+  }, `Sign-in link sent to ${email}. Open it in this browser to save your account.`);
+
+  // Switches to an existing account.
+  const signIn = () => run(() => signInWithEmailAndPassword(auth, email, password), 'Signed in.');
+
+  if (!account) return null;
+
+  if (!account.isAnonymous) {
+    return (
+      <div className="mt-6 pt-6 border-t border-gray-700 text-center">
+        <p className="text-gray-300 mb-3">Signed in as <span className="font-semibold text-white">{account.email}</span></p>
+        <button
+          onClick={() => run(() => signOut(auth), '')}
+          className="bg-gray-600 text-white py-2 px-6 rounded-xl text-lg font-bold shadow-lg hover:bg-gray-500 transition"
+        >
+          Sign Out
+        </button>
+      </div>
+    );
+  }
+
+  const inputClass = "w-full p-3 mb-3 bg-gray-700 text-white border border-gray-600 rounded-xl placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:outline-none";
+  const buttonClass = "flex-1 text-white py-2 px-3 rounded-xl font-bold shadow-lg transition";
+  return (
+    <div className="mt-6 pt-6 border-t border-gray-700">
+      <h3 className="text-xl font-bold mb-2 text-gray-100">Save Your Account</h3>
+      <p className="text-sm text-gray-400 mb-4">You are playing as a guest. Add an email to keep your rating if you clear your browser or switch devices.</p>
+      <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+      <input type="password" placeholder="Password (not needed for a sign-in link)" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+      <div className="flex space-x-2">
+        <button onClick={createAccount} disabled={!email || !password} className={`${buttonClass} bg-green-600 hover:bg-green-700 disabled:opacity-50`}>Create Account</button>
+        <button onClick={sendLink} disabled={!email} className={`${buttonClass} bg-blue-600 hover:bg-blue-700 disabled:opacity-50`}>Email Me a Link</button>
+        <button onClick={signIn} disabled={!email || !password} className={`${buttonClass} bg-gray-600 hover:bg-gray-500 disabled:opacity-50`}>Sign In</button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">Signing in to another account leaves this guest account and its rating behind.</p>
+      {status.message && <p className="text-green-400 mt-3">{status.message}</p>}
+      {status.error && <p className="text-red-400 mt-3">{status.error}</p>}
+    </div>
+  );
+};
+
+
+/**
+ * ProfileEditor Component: Sets the player's display name and avatar. Names are unique
+ * (ignoring letter case): each one is reserved in `displayNames/{name}` in the same
+ * transaction that writes the profile, and the previous name is released.
+ * @param {object} props - Component props.
+ * @param {object|null} props.profile - The player's current profile.
+ * @param {function} [props.onDone] - Called after saving or cancelling. Without it (first-time
+ *   setup) there is no way to cancel.
+ */
+const ProfileEditor = ({ profile, onDone }) => {
+  const { db, userId } = useContext(FirebaseContext);
+  const [displayName, setDisplayName] = useState(profile?.displayName || '');
+  const [avatarSeed, setAvatarSeed] = useState(() => getPublicIdentity(profile, userId).avatarSeed);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // Saves the name and avatar, reserving the name if it changed.
+  const saveProfile = async () => {
+    const name = displayName.trim();
+    if (!isValidDisplayName(name)) {
+      setError('Names are 3 to 20 letters, digits, underscores or hyphens.');
+      return;
+    }
+    setError('');
+    setSaving(true);
+    try {
+      const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
+      const namesPath = `artifacts/${appId}/public/data/displayNames`;
+      const newNameRef = doc(db, namesPath, getDisplayNameKey(name));
+      await runTransaction(db, async (transaction) => {
+        const newNameSnap = await transaction.get(newNameRef);
+        if (newNameSnap.exists() && newNameSnap.data().uid !== userId) {
+          throw new Error(`The name ${name} is already taken.`);
+        }
+        const oldName = profile?.displayName;
+        if (oldName && getDisplayNameKey(oldName) !== getDisplayNameKey(name)) {
+          transaction.delete(doc(db, namesPath, getDisplayNameKey(oldName)));
+        }
+        if (!newNameSnap.exists()) {
+          transaction.set(newNameRef, { uid: userId, createdAt: Date.now() });
+        }
+        transaction.update(userProfileRef, { displayName: name, avatarSeed });
+      });
+      if (onDone) onDone();
+    } catch (e) {
+      console.error("Error saving profile:", e);
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-md w-full mb-8 text-white">
+      <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">{onDone ? 'Edit Profile' : 'Choose Your Name'}</h2>
+      <div className="flex items-center space-x-4 mb-4">
+        <Avatar seed={avatarSeed} size={72} />
+        <button
+          onClick={() => setAvatarSeed(crypto.randomUUID().slice(0, 8))}
+          className="bg-indigo-600 text-white py-2 px-4 rounded-xl font-bold shadow-lg hover:bg-indigo-700 transition"
+        >
+          New Avatar
+        </button>
+      </div>
+      <input
+        type="text"
+        placeholder="Display name"
+        value={displayName}
+        maxLength={20}
+        onChange={(e) => setDisplayName(e.target.value)}
+        className="w-full p-4 mb-4 bg-gray-700 text-white border border-gray-600 rounded-xl text-xl placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+      />
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          onClick={saveProfile}
+          disabled={saving}
+          className="flex-1 bg-green-600 text-white py-3 rounded-xl text-xl font-bold shadow-lg hover:bg-green-700 transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        {onDone && (
+          <button onClick={onDone} className="flex-1 bg-gray-600 text-white py-3 rounded-xl text-xl font-bold shadow-lg hover:bg-gray-500 transition">Cancel</button>
+        )}
+      </div>
+      <AccountPanel />
+    </div>
+  );
+};
+
+
+/**
+ * ProfileGate Component: Shows the profile setup until the player has picked a display name,
+ * then renders its children. Practice (`/practice`) is let straight through, since it must work
+ * without a reachable profile. It also completes email link sign-in when the app is opened
+ * from such a link, upgrading the anonymous account (or switching to the existing one).
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The app behind the gate.
+ */
+const ProfileGate = ({ children }) => {
+  const { db, auth, userId } = useContext(FirebaseContext);
+  const navigate = useNavigate();
+  const isPractice = useMatch('/practice'); // Practice needs no display name, nor a reachable profile
+  const [profile, setProfile] = useState(undefined); // undefined while loading, null if missing
+  const [messageBox, setMessageBox] = useState({ isOpen: false, title: '', message: '' });
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to follow the user's profile.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
+    const unsubscribe = onSnapshot(userProfileRef, (docSnap) => {
+      setProfile(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error("Error fetching profile:", error);
+      setProfile(null);
+    });
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // useEffect hook to finish signing in from an email link.
+  useEffect(() => {
+    if (!auth || !isSignInWithEmailLink(auth, window.location.href)) return;
+    const link = window.location.href;
+    const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+    navigate('/', { replace: true }); // Drop the one-time code from the address bar.
+    if (!email) {
+      setMessageBox({ isOpen: true, title: 'Sign-In Failed', message: 'Please open the sign-in link in the browser you requested it from.' });
+      return;
+    }
+
+    const finishSignIn = async () => {
+      try {
+        await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, link));
+        setMessageBox({ isOpen: true, title: 'Account Saved', message: `Your account is now linked to ${email}.` });
+      } catch (e) {
+        if (e.code !== 'auth/email-already-in-use' && e.code !== 'auth/credential-already-in-use') throw e;
+        // The email belongs to an existing account: switch to it.
+        await signInWithEmailLink(auth, email, link);
+        setMessageBox({ isOpen: true, title: 'Signed In', message: `Signed in as ${email}.` });
+      }
+      window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    };
+    finishSignIn().catch((e) => {
+      console.error("Error completing email sign-in:", e);
+      setMessageBox({ isOpen: true, title: 'Sign-In Failed', message: e.message });
+    });
+  }, [auth, navigate]);
+
+  let content = children;
+  if (!isPractice && profile === undefined) {
+    content = (
+      <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100">
+        <p className="text-2xl font-semibold animate-pulse">Loading Profile...</p>
+      </div>
+    );
+  } else if (!isPractice && !profile?.displayName) {
+    content = (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4">
+        <ProfileEditor profile={profile} />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {content}
+      <MessageBox {...messageBox} onClose={() => setMessageBox({ ...messageBox, isOpen: false })} />
+    </>
+  );
+};
+
+
+/**
+ * FindMatchPanel Component: Puts the user in the matchmaking queue and shows the search.
+ * The `joinMatchQueue` Cloud Function pairs players of similar rating, widening the accepted
+ * rating difference the longer they wait, and marks the queue entry as matched with the new
+ * game's ID, at which point this panel moves the user into the game room.
+ * @param {object} props - Component props.
+ * @param {function} props.onJoinGame - Callback to transition to the GameRoom with a specific game ID.
+ */
+const FindMatchPanel = ({ onJoinGame }) => {
+  const { db, userId } = useContext(FirebaseContext);
+  const [entry, setEntry] = useState(null); // The user's queue entry (null when not queued)
+  const [now, setNow] = useState(Date.now()); // Ticks while searching, for the elapsed time
+  const [error, setError] = useState('');
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to follow the user's queue entry and enter the game once matched.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const queueRef = doc(db, `artifacts/${appId}/public/data/matchQueue`, userId);
+    const unsubscribe = onSnapshot(queueRef, (docSnap) => {
+      // Estimate pending server timestamps so the elapsed time shows right away.
+      const data = docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : null;
+      if (data?.status === 'matched' && data.gameId) {
+        // The entry has served its purpose; clearing it lets the user queue again later.
+        deleteDoc(queueRef).catch((e) => console.error("Error clearing queue entry:", e));
+        onJoinGame(data.gameId);
+        return;
+      }
+      setEntry(data);
+    }, (e) => {
+      console.error("Error following matchmaking:", e);
+      setError('Matchmaking is unavailable right now.');
+    });
+    return () => unsubscribe();
+  }, [db, userId, appId, onJoinGame]);
+
+  const isSearching = entry?.status === 'searching';
+
+  // useEffect hook to tick the elapsed time once a second while searching.
+  useEffect(() => {
+    if (!isSearching) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isSearching]);
+
+  // Joins the queue. The server adds the rating from the user's profile.
+  const findMatch = async () => {
+    setError('');
+    try {
+      await setDoc(doc(db, `artifacts/${appId}/public/data/matchQueue`, userId), {
+        status: 'searching',
+        createdAt: serverTimestamp(),
+      });
+    } catch (e) {
+      console.error("Error joining matchmaking:", e);
+      setError(`Failed to join matchmaking: ${e.message}`);
+    }
+  };
+
+  // Leaves the queue.
+  const cancelSearch = async () => {
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/public/data/matchQueue`, userId));
+    } catch (e) {
+      console.error("Error cancelling matchmaking:", e);
+      setError(`Failed to cancel: ${e.message}`);
+    }
+  };
+
+  const searchStart = (entry?.joinedAt || entry?.createdAt)?.toMillis() ?? now;
+  const waitedMs = Math.max(0, now - searchStart);
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-md w-full mb-8">
+      <h2 className="text-3xl font-bold mb-2 text-center text-gray-100">Find Match</h2>
+      <p className="text-sm text-gray-400 text-center mb-6">
+        Play someone near your rating on the standard settings: {describeGameSettings(DEFAULT_GAME_SETTINGS)}
+      </p>
+      {isSearching ? (
+        <>
+          <p className="text-lg text-gray-200 text-center mb-1 animate-pulse">Searching for an opponent... {formatClock(waitedMs)}</p>
+          <p className="text-sm text-gray-400 text-center mb-4">Accepting ratings within ±{getMatchWindow(waitedMs)} · gives up after {formatClock(MATCH_TIMEOUT_MS)}</p>
+          <button
+            onClick={cancelSearch}
+            className="w-full bg-gray-600 text-white py-3 rounded-xl text-xl font-bold shadow-lg hover:bg-gray-500 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-gray-400 focus:ring-opacity-75"
+          >
+            Cancel
+          </button>
+        </>
+      ) : (
+        <>
+          {entry?.status === 'timedOut' && (
+            <p className="text-yellow-400 text-center mb-4">No opponent found. Try again, or create a game below.</p>
+          )}
+          <button
+            onClick={findMatch}
+            className="w-full bg-pink-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-pink-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-pink-500 focus:ring-opacity-75"
+          >
+            Find Match
+          </button>
+        </>
+      )}
+      {error && <p className="text-red-400 text-center mt-4">{error}</p>}
+    </div>
+  );
+};
+
+
+/**
+ * GameLobby Component: Allows players to create new games (Vs Human or Vs Bots),
+ * join existing waiting games, or watch games that are about to start or in progress.
+ * Private games are left out of the public list and are joined with their room code instead.
  * @param {object} props - Component props.
  * @param {function} props.onJoinGame - Callback to transition to the GameRoom with a specific game ID.
+ * @param {function} props.onWatchGame - Callback to open a game as a spectator.
+ * @param {function} props.onNavigate - Callback to open another screen by path (e.g. '/stats').
+ * @param {string} [props.inviteCode] - A room code from an invite link, joined as soon as the lobby loads.
  */
-const GameLobby = ({ onJoinGame }) => {
-  const { db, userId } = useContext(FirebaseContext); // Access Firebase instances and user ID from context
-  const [activeGames, setActiveGames] = useState([]); // State to store list of active 'waiting' games
+const GameLobby = ({ onJoinGame, onWatchGame, onNavigate, inviteCode }) => {
+  const { db, functions, userId } = useContext(FirebaseContext); // Access Firebase instances and user ID from context
+  const [activeGames, setActiveGames] = useState([]); // State to store list of waiting and live games
   const [messageBox, setMessageBox] = useState({ isOpen: false, title: '', message: '', onConfirm: null }); // State for the custom message box
-  const [gameIdToJoin, setGameIdToJoin] = useState(''); // State for manually entering a game ID to join
+  const [roomCodeToJoin, setRoomCodeToJoin] = useState(''); // State for manually entering a room code to join
+  const [settings, setSettings] = useState(DEFAULT_GAME_SETTINGS); // Settings used for newly created games
+  const [isPrivate, setIsPrivate] = useState(false); // Whether new human games are private (invite only)
+  const [bestOf, setBestOf] = useState(1); // Series length for new human games (1 for a single game)
+  const handledInviteCode = useRef(null); // The invite code already acted on, so it is joined only once
+  const [profile, setProfile] = useState(null); // The user's own profile (rating, deviation, name, avatar)
+  const [editingProfile, setEditingProfile] = useState(false); // Whether the profile editor is open
+  const [unfinishedGame, setUnfinishedGame] = useState(null); // A game of the user's still in progress, to rejoin
 
   // Firestore collection reference for public game data
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
-  const gamesCollectionRef = collection(db, `artifacts/${appId}/public/data/games`);
+  const gamesCollectionRef = useMemo(() => collection(db, `artifacts/${appId}/public/data/games`), [db, appId]);
 
-  // useEffect hook to listen for real-time updates to active (waiting) games.
+  // useEffect hook to listen for real-time updates to active (waiting, ready or playing) games.
   useEffect(() => {
     if (!db || !userId) return;
 
-    // Create a query to get games with 'waiting' status.
-    const q = query(gamesCollectionRef, where('status', '==', 'waiting'));
+    // Create a query to get public games that are open to join or to watch. Private games are only reachable by code.
+    const q = query(gamesCollectionRef, where('status', 'in', ['waiting', 'ready', 'playing']), where('visibility', '==', 'public'));
     // Subscribe to real-time updates using onSnapshot.
     const unsubscribe = onSnapshot(q, (snapshot) => {
       // Map snapshot documents to game objects.
@@ -367,12 +1026,45 @@ const GameLobby = ({ onJoinGame }) => {
 
     // Cleanup function: Unsubscribe from snapshot listener when component unmounts.
     return () => unsubscribe();
-  }, [db, userId]); // Dependencies: Re-run effect if `db` or `userId` changes.
+  }, [db, userId, gamesCollectionRef]); // Dependencies: Re-run effect if `db`, `userId` or the collection changes.
+
+  // useEffect hook to look once for a game the user is still in (e.g. after a refresh or a closed
+  // tab), so they can rejoin it before they forfeit. Races are always public. These queries need
+  // the composite indexes in firestore.indexes.json.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const gamesRef = collection(db, `artifacts/${appId}/public/data/games`);
+    const activeStatuses = ['ready', 'playing'];
+    Promise.all([
+      getDocs(query(gamesRef, where('player1Id', '==', userId), where('status', 'in', activeStatuses))),
+      getDocs(query(gamesRef, where('player2Id', '==', userId), where('status', 'in', activeStatuses))),
+      getDocs(query(gamesRef, where('playerIds', 'array-contains', userId), where('visibility', '==', 'public'), where('status', 'in', ['waiting', 'playing']))),
+    ])
+      .then((snapshots) => {
+        const games = snapshots.flatMap((snapshot) => snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() })));
+        games.sort((a, b) => (b.status === 'playing') - (a.status === 'playing')
+          || (b.createdAt?.toMillis() ?? 0) - (a.createdAt?.toMillis() ?? 0));
+        setUnfinishedGame(games[0] ?? null);
+      })
+      .catch((error) => console.error("Error looking for unfinished games:", error));
+  }, [db, userId, appId]);
+
+  // useEffect hook to keep the user's own rating up to date.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
+    const unsubscribe = onSnapshot(userProfileRef, (docSnap) => {
+      setProfile(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error("Error fetching profile:", error);
+    });
+    return () => unsubscribe();
+  }, [db, userId, appId]);
 
   /**
-   * Handles creating a new game, either against a human or a bot.
-   * Updates Firestore and transitions to GameRoom.
-   * @param {string} opponentType - 'human', 'bot-1000', or 'bot-2000'.
+   * Handles creating a new game, either against a human or a bot, using the chosen settings.
+   * A private human game also reserves a room code. Updates Firestore and transitions to GameRoom.
+   * @param {string} opponentType - 'human', or a bot type from `BOT_PROFILES` (e.g. 'bot-1200').
    */
   const createGame = async (opponentType = 'human') => {
     if (!db || !userId) {
@@ -381,42 +1073,89 @@ const GameLobby = ({ onJoinGame }) => {
     }
 
     try {
-      // Fetch player 1's current Elo rating, defaulting to STARTING_ELO if new.
+      // Fetch player 1's current rating and deviation, defaulting to STARTING_ELO if new.
       const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
       const userProfileSnap = await getDoc(userProfileRef);
-      const player1Elo = userProfileSnap.exists() ? userProfileSnap.data().elo : STARTING_ELO;
+      const player1Rating = getGlickoPlayer(userProfileSnap.data());
+      const player1Identity = getPublicIdentity(userProfileSnap.data(), userId);
 
       let player2InitialElo = STARTING_ELO;
+      let player2InitialDeviation = INITIAL_RATING_DEVIATION;
       let player2Id = null; // Default to null for human opponent
+      let player2Name = null; // Filled in by whoever joins
+      let player2AvatarSeed = null;
       // Set bot-specific Elo and ID if playing against a bot.
-      if (opponentType === 'bot-1000') {
-        player2Id = 'BOT-1000-' + crypto.randomUUID(); // Assign a unique ID for the bot.
-        player2InitialElo = 1000; // Set bot's starting Elo.
-      } else if (opponentType === 'bot-2000') {
-        player2Id = 'BOT-2000-' + crypto.randomUUID(); // Assign a unique ID for the bot.
-        player2InitialElo = 2000; // Set bot's starting Elo.
+      const bot = getBotProfile(opponentType);
+      if (bot) {
+        player2Id = `BOT-${bot.level}-${crypto.randomUUID()}`; // Assign a unique ID for the bot.
+        player2InitialElo = bot.rating; // The bot's nominal Elo, derived from its skill model.
+        player2InitialDeviation = BOT_RATING_DEVIATION;
+        player2Name = bot.label;
+        player2AvatarSeed = bot.id;
       }
 
-      // Add a new game document to the 'games' collection in Firestore.
-      const newGameRef = await addDoc(gamesCollectionRef, {
+      const privateRoom = opponentType === 'human' && isPrivate;
+      const newGame = {
         player1Id: userId,
         player1Score: 0,
-        player1EloAtStart: player1Elo,
+        player1EloAtStart: player1Rating.rating,
+        player1DeviationAtStart: player1Rating.ratingDeviation, // Glicko-2 RD, for the results preview.
+        player1Name: player1Identity.name, // Display name and avatar, copied here since profiles are private.
+        player1AvatarSeed: player1Identity.avatarSeed,
         player2Id: player2Id, // Will be null for human, or bot ID for bot game.
         player2Score: 0,
         player2EloAtStart: player2InitialElo,
+        player2DeviationAtStart: player2InitialDeviation,
+        player2Name: player2Name,
+        player2AvatarSeed: player2AvatarSeed,
         status: opponentType === 'human' ? 'waiting' : 'ready', // Bot games start directly in 'ready' state.
         opponentType: opponentType, // Store the type of opponent.
-        currentProblem: null, // Initial problem will be generated when game starts.
-        currentAnswer: null, // Initial answer will be generated when game starts.
-        startTime: null, // Game start time.
+        visibility: privateRoom ? 'private' : 'public', // Private games are hidden from the public list.
+        roomCode: null, // Set below for private games.
+        settings: normalizeGameSettings(settings), // Operations, operand ranges and duration shared by both players.
+        bestOf: opponentType === 'human' ? bestOf : 1, // A series is rated once, on its result (see `startGame`).
+        // Each player walks the same seeded problem sequence at their own pace. The server fills
+        // in each player's current problem and answer length; the answers stay on the server.
+        player1ProblemIndex: 0,
+        player1Problem: null,
+        player1AnswerLength: null,
+        player2ProblemIndex: 0,
+        player2Problem: null,
+        player2AnswerLength: null,
+        startTime: null, // Server timestamp set when the game starts.
+        endTime: null, // Server timestamp when the clock runs out; the server ends the game then.
         winnerId: null, // Winner ID (null until game ends).
         eloCalculated: false, // Flag to prevent multiple Elo calculations.
-        createdAt: Date.now(), // Timestamp of game creation.
-      });
+        createdAt: serverTimestamp(), // Server time of game creation; idle waiting games expire by it.
+        readyAt: opponentType === 'human' ? null : serverTimestamp(), // Server time the game became ready (set on join for human games).
+      };
+
+      if (!privateRoom) {
+        // Add a new game document to the 'games' collection in Firestore.
+        const newGameRef = await addDoc(gamesCollectionRef, newGame);
+        // Immediately transition to the GameRoom using the newly created game's ID.
+        onJoinGame(newGameRef.id);
+        return;
+      }
 
-      // Immediately transition to the GameRoom using the newly created game's ID.
-      onJoinGame(newGameRef.id);
+      // Reserve an unused room code and create the game with it in one transaction, so a code
+      // always points at exactly one game.
+      const newGameRef = doc(gamesCollectionRef);
+      for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+        const roomCode = generateRoomCode();
+        const roomCodeRef = doc(db, `artifacts/${appId}/public/data/roomCodes`, roomCode);
+        const reserved = await runTransaction(db, async (transaction) => {
+          if ((await transaction.get(roomCodeRef)).exists()) return false;
+          transaction.set(newGameRef, { ...newGame, roomCode });
+          transaction.set(roomCodeRef, { gameId: newGameRef.id, createdBy: userId, createdAt: Date.now() });
+          return true;
+        });
+        if (reserved) {
+          onJoinGame(newGameRef.id);
+          return;
+        }
+      }
+      setMessageBox({ isOpen: true, title: 'Error', message: 'Could not find a free room code. Please try again.' });
 
     } catch (e) {
       // Handle errors during game creation.
@@ -425,12 +1164,26 @@ const GameLobby = ({ onJoinGame }) => {
     }
   };
 
+  /**
+   * Handles opening a race with the chosen settings. Race documents are written by the
+   * `createRace` Cloud Function, which makes the user the host; others join from the list.
+   */
+  const createRace = async () => {
+    try {
+      const { data } = await httpsCallable(functions, 'createRace')({ appId, settings: normalizeGameSettings(settings) });
+      onJoinGame(data.gameId);
+    } catch (e) {
+      console.error("Error creating race:", e);
+      setMessageBox({ isOpen: true, title: 'Error', message: `Failed to create race: ${e.message}` });
+    }
+  };
+
   /**
    * Handles joining an existing game by its ID.
-   * Updates Firestore to add player 2 and transitions to GameRoom.
+   * Updates Firestore to add player 2 (or asks `joinRace` for a seat in a race) and transitions to GameRoom.
    * @param {string} gameId - The ID of the game to join.
    */
-  const joinGame = async (gameId) => {
+  const joinGame = useCallback(async (gameId) => {
     if (!db || !userId) {
       setMessageBox({ isOpen: true, title: 'Error', message: 'Firebase not ready. Please try again.' });
       return;
@@ -442,7 +1195,7 @@ const GameLobby = ({ onJoinGame }) => {
 
     try {
       // Get a reference to the game document.
-      const gameRef = doc(gamesCollectionRef, gameId);
+      const gameRef = doc(db, `artifacts/${appId}/public/data/games`, gameId);
       // Fetch the current state of the game document.
       const gameSnap = await getDoc(gameRef);
 
@@ -453,34 +1206,71 @@ const GameLobby = ({ onJoinGame }) => {
 
       const gameData = gameSnap.data(); // Get game data.
 
+      if (isRace(gameData)) {
+        if (!isGamePlayer(gameData, userId)) {
+          if (gameData.status === 'finished') {
+            setMessageBox({ isOpen: true, title: 'Error', message: 'This race is already finished.' });
+            return;
+          }
+          if (gameData.status !== 'waiting' || gameData.playerIds.length >= gameData.maxPlayers) {
+            setMessageBox({
+              isOpen: true,
+              title: 'Race Closed',
+              message: 'This race is full or has already started. Watch it instead?',
+              showCancel: true,
+              onConfirm: () => onWatchGame(gameId),
+            });
+            return;
+          }
+          await httpsCallable(functions, 'joinRace')({ appId, gameId });
+        }
+        onJoinGame(gameId);
+        return;
+      }
+
       // Prevent joining if already Player 1 in this game.
       if (gameData.player1Id === userId) {
         onJoinGame(gameId); // Still transition to GameRoom if they are Player 1.
         return;
       }
 
-      // Prevent joining if game already has a Player 2 (and it's not the current user).
-      if (gameData.player2Id && gameData.player2Id !== userId) {
-        setMessageBox({ isOpen: true, title: 'Game Full', message: 'This game already has two players.' });
+      // Already Player 2 (e.g. a second click on Join): go straight back in.
+      if (gameData.player2Id === userId) {
+        onJoinGame(gameId);
         return;
       }
 
-      // Prevent joining if game is already in progress or finished (should only join 'waiting' games).
-      if (gameData.status !== 'waiting') {
-        setMessageBox({ isOpen: true, title: 'Error', message: 'This game is already in progress or finished.' });
+      // A full game can still be watched until it is over.
+      if (gameData.player2Id || gameData.status !== 'waiting') {
+        if (gameData.status === 'finished') {
+          setMessageBox({ isOpen: true, title: 'Error', message: 'This game is already finished.' });
+        } else {
+          setMessageBox({
+            isOpen: true,
+            title: 'Game Full',
+            message: 'This game already has two players. Watch it instead?',
+            showCancel: true,
+            onConfirm: () => onWatchGame(gameId),
+          });
+        }
         return;
       }
 
-      // Fetch player 2's current Elo rating, defaulting to STARTING_ELO if new.
+      // Fetch player 2's current rating and deviation, defaulting to STARTING_ELO if new.
       const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, userId);
       const userProfileSnap = await getDoc(userProfileRef);
-      const player2Elo = userProfileSnap.exists() ? userProfileSnap.data().elo : STARTING_ELO;
+      const player2Rating = getGlickoPlayer(userProfileSnap.data());
+      const player2Identity = getPublicIdentity(userProfileSnap.data(), userId);
 
       // Update the game document to add Player 2 and change status to 'ready'.
       await updateDoc(gameRef, {
         player2Id: userId,
-        player2EloAtStart: player2Elo,
+        player2EloAtStart: player2Rating.rating,
+        player2DeviationAtStart: player2Rating.ratingDeviation,
+        player2Name: player2Identity.name,
+        player2AvatarSeed: player2Identity.avatarSeed,
         status: 'ready', // Game is now ready to be started by Player 1.
+        readyAt: serverTimestamp(), // Unstarted ready games expire some time after this.
       });
 
       onJoinGame(gameId); // Immediately transition to GameRoom.
@@ -489,60 +1279,171 @@ const GameLobby = ({ onJoinGame }) => {
       console.error("Error joining game:", e);
       setMessageBox({ isOpen: true, title: 'Error', message: `Failed to join game: ${e.message}` });
     }
-  };
+  }, [db, functions, userId, appId, onJoinGame, onWatchGame]);
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4">
-      <h1 className="text-5xl font-extrabold mb-8 text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-600 animate-fade-in-down">
-        Zetamac Race
+  /**
+   * Handles joining a private (or public) game by its room code.
+   * @param {string} code - The room code, in any letter case.
+   */
+  const joinByCode = useCallback(async (code) => {
+    const roomCode = (code || '').trim().toUpperCase();
+    if (!roomCode) {
+      setMessageBox({ isOpen: true, title: 'Error', message: 'Please enter a room code.' });
+      return;
+    }
+    try {
+      const roomCodeSnap = await getDoc(doc(db, `artifacts/${appId}/public/data/roomCodes`, roomCode));
+      if (!roomCodeSnap.exists()) {
+        setMessageBox({ isOpen: true, title: 'Error', message: `No game found for room code ${roomCode}.` });
+        return;
+      }
+      await joinGame(roomCodeSnap.data().gameId);
+    } catch (e) {
+      console.error("Error joining by room code:", e);
+      setMessageBox({ isOpen: true, title: 'Error', message: `Failed to join game: ${e.message}` });
+    }
+  }, [db, appId, joinGame]);
+
+  // useEffect hook to join the game behind an invite link (`/join/:code`) once Firebase is ready.
+  useEffect(() => {
+    if (!db || !userId || !inviteCode || handledInviteCode.current === inviteCode) return;
+    handledInviteCode.current = inviteCode;
+    joinByCode(inviteCode);
+  }, [db, userId, inviteCode, joinByCode]);
+
+  // The user's rating, with deviation grown for any inactivity (null until the profile loads).
+  const ownRating = profile ? getGlickoPlayer(profile) : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4">
+      <h1 className="text-5xl font-extrabold mb-8 text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-600 animate-fade-in-down">
+        Zetamac Race
       </h1>
 
-      <p className="text-lg mb-6 text-gray-300 text-center">Your User ID: <span className="font-mono bg-gray-800 px-3 py-1 rounded-md text-sm">{userId}</span></p>
+      <div className="flex items-center space-x-3 mb-6">
+        <Avatar seed={getPublicIdentity(profile, userId).avatarSeed} size={48} />
+        <span className="text-2xl font-bold">{formatPlayerName(profile?.displayName, userId)}</span>
+        <button
+          onClick={() => setEditingProfile(!editingProfile)}
+          className="bg-gray-700 text-gray-200 py-1 px-3 rounded-lg text-sm font-semibold hover:bg-gray-600 transition"
+        >
+          {editingProfile ? 'Close' : 'Edit Profile'}
+        </button>
+        <button
+          onClick={() => onNavigate('/stats')}
+          className="bg-gray-700 text-gray-200 py-1 px-3 rounded-lg text-sm font-semibold hover:bg-gray-600 transition"
+        >
+          My Stats
+        </button>
+        <button
+          onClick={() => onNavigate('/practice')}
+          className="bg-gray-700 text-gray-200 py-1 px-3 rounded-lg text-sm font-semibold hover:bg-gray-600 transition"
+        >
+          Practice
+        </button>
+        <button
+          onClick={() => onNavigate('/leaderboard')}
+          className="bg-gray-700 text-gray-200 py-1 px-3 rounded-lg text-sm font-semibold hover:bg-gray-600 transition"
+        >
+          Leaderboard
+        </button>
+      </div>
+      {editingProfile && <ProfileEditor profile={profile} onDone={() => setEditingProfile(false)} />}
+      {ownRating && (
+        <p className="text-lg mb-6 text-gray-300 text-center">
+          Your Rating: <span className="font-bold text-white">{Math.round(ownRating.rating)}</span>
+          {isProvisional(ownRating.ratingDeviation) && <span className="ml-2 text-sm text-yellow-400" title={`Rating deviation ${Math.round(ownRating.ratingDeviation)}`}>(provisional)</span>}
+        </p>
+      )}
+
+      {unfinishedGame && (
+        <div className="bg-yellow-900 border border-yellow-600 p-4 rounded-xl max-w-md w-full mb-6 text-center">
+          <p className="text-lg font-semibold mb-3">
+            {unfinishedGame.status !== 'playing'
+              ? `Your ${isRace(unfinishedGame) ? 'race' : 'game'} is waiting to start.`
+              : isRace(unfinishedGame)
+                ? 'You have a race in progress. Rejoin it to keep racing!'
+                : 'You have a game in progress. Rejoin it before you forfeit!'}
+          </p>
+          <div className="flex justify-center space-x-3">
+            <button onClick={() => onJoinGame(unfinishedGame.id)} className="bg-yellow-600 text-white py-2 px-6 rounded-lg font-bold hover:bg-yellow-700 transition">Rejoin</button>
+            <button onClick={() => setUnfinishedGame(null)} className="bg-gray-700 text-gray-200 py-2 px-6 rounded-lg font-semibold hover:bg-gray-600 transition">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {/* Matchmaking section */}
+      <FindMatchPanel onJoinGame={onJoinGame} />
 
       {/* Create New Game section */}
       <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-md w-full mb-8 transform transition-all hover:scale-105 duration-300">
         <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">Create New Game</h2>
+        <GameSettingsForm settings={settings} onChange={setSettings} />
+        <label className="flex items-center justify-between mb-4 text-gray-200 font-semibold">
+          <span>Match length (vs human)</span>
+          <select value={bestOf} onChange={(e) => setBestOf(Number(e.target.value))} className="p-2 bg-gray-700 border border-gray-600 rounded-lg">
+            {SERIES_LENGTHS.map((length) => (
+              <option key={length} value={length}>{length === 1 ? 'Single game' : `Best of ${length}`}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2 mb-4 text-gray-200 font-semibold">
+          <input type="checkbox" checked={isPrivate} onChange={(e) => setIsPrivate(e.target.checked)} />
+          <span>Private room (invite only)</span>
+        </label>
         <button
           onClick={() => createGame('human')}
           className="w-full bg-green-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-green-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-green-500 focus:ring-opacity-75 mb-4"
         >
-          Create Game (Vs Human)
-        </button>
-        <button
-          onClick={() => createGame('bot-1000')}
-          className="w-full bg-indigo-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-indigo-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-indigo-500 focus:ring-opacity-75 mb-4"
-        >
-          Create Game (Vs Bot 1000 Elo)
+          {isPrivate ? 'Create Private Room' : 'Create Game (Vs Human)'}
         </button>
         <button
-          onClick={() => createGame('bot-2000')}
-          className="w-full bg-purple-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-purple-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-purple-500 focus:ring-opacity-75"
+          onClick={createRace}
+          className="w-full bg-yellow-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-yellow-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-yellow-500 focus:ring-opacity-75 mb-4"
         >
-          Create Game (Vs Bot 2000 Elo)
+          Create Race ({RACE_MIN_PLAYERS}-{RACE_MAX_PLAYERS} Players)
         </button>
+        <p className="text-sm text-gray-400 text-center -mt-2 mb-4">
+          Races are never forfeited: a racer who disconnects keeps their score and is placed by it.
+        </p>
+        <h3 className="text-xl font-bold mt-2 mb-3 text-center text-gray-200">Play a Bot</h3>
+        <ul className="space-y-2">
+          {Object.values(BOT_PROFILES).map((bot) => (
+            <li key={bot.id}>
+              <button
+                onClick={() => createGame(bot.id)}
+                className="w-full flex justify-between items-center bg-indigo-600 text-white py-3 px-4 rounded-xl text-lg font-bold shadow-lg hover:bg-indigo-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-indigo-500 focus:ring-opacity-75"
+              >
+                <span>{bot.label}</span>
+                <span className="text-sm font-normal text-indigo-200">Elo {bot.rating} · ~{Math.round(bot.expectedScore)} per 120s</span>
+              </button>
+            </li>
+          ))}
+        </ul>
       </div>
 
-      {/* Join Game by ID section 
+      {/* Join by Room Code section */}
       <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-md w-full mb-8 transform transition-all hover:scale-105 duration-300">
-        <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">Join Game by ID</h2>
+        <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">Join with Room Code</h2>
         <input
           type="text"
-          placeholder="Enter Game ID"
-          value={gameIdToJoin}
-          onChange={(e) => setGameIdToJoin(e.target.value)}
-          className="w-full p-4 mb-4 bg-gray-700 text-white border border-gray-600 rounded-xl text-xl placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+          placeholder="Enter Room Code"
+          value={roomCodeToJoin}
+          maxLength={ROOM_CODE_LENGTH}
+          onChange={(e) => setRoomCodeToJoin(e.target.value.toUpperCase())}
+          className="w-full p-4 mb-4 bg-gray-700 text-white border border-gray-600 rounded-xl text-xl font-mono tracking-widest placeholder-gray-400 focus:ring-2 focus:ring-blue-500 focus:outline-none"
         />
         <button
-          onClick={() => joinGame(gameIdToJoin)}
+          onClick={() => joinByCode(roomCodeToJoin)}
           className="w-full bg-blue-600 text-white py-4 rounded-xl text-2xl font-bold shadow-lg hover:bg-blue-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-blue-500 focus:ring-opacity-75"
         >
           Join Game
         </button>
-      </div> */}
+      </div>
 
       {/* Active Games List section */}
       <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full">
-        <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">Active Games (Waiting)</h2>
+        <h2 className="text-3xl font-bold mb-6 text-center text-gray-100">Active Games</h2>
         {activeGames.length === 0 ? (
           <p className="text-gray-400 text-center text-lg">No active games found. Create one!</p>
         ) : (
@@ -554,14 +1455,50 @@ const GameLobby = ({ onJoinGame }) => {
               >
                 <div className="text-xl font-semibold mb-2 sm:mb-0 text-gray-200">
                   Game ID: <span className="font-mono text-blue-300">{game.id}</span>
-                  <p className="text-base text-gray-400 mt-1">Player 1: {game.player1Id.substring(0, 8)}...</p>
+                  {isRace(game) ? (
+                    <p className="text-base text-gray-400 mt-1 flex items-center space-x-2">
+                      <span className="text-yellow-300">Race · {game.playerIds.length}/{game.maxPlayers}</span>
+                      {game.playerIds.map((uid) => (
+                        <Avatar key={uid} seed={game.players[uid].avatarSeed} size={24} />
+                      ))}
+                    </p>
+                  ) : (
+                    <p className="text-base text-gray-400 mt-1 flex items-center space-x-2">
+                      <Avatar seed={game.player1AvatarSeed || game.player1Id} size={24} />
+                      <span>{formatPlayerName(game.player1Name, game.player1Id)} ({Math.round(game.player1EloAtStart)})</span>
+                      {game.player2Id && (
+                        <>
+                          <span>vs</span>
+                          <Avatar seed={game.player2AvatarSeed || game.player2Id} size={24} />
+                          <span>{formatPlayerName(game.player2Name, game.player2Id)} ({Math.round(game.player2EloAtStart)})</span>
+                        </>
+                      )}
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-400 mt-1">
+                    {describeGameSettings(game.settings)}
+                    {game.bestOf > 1 && <span className="ml-2">· Best of {game.bestOf}{game.seriesGame ? `, game ${game.seriesGame}` : ''}</span>}
+                    {game.status === 'playing' && (
+                      <span className="text-green-400 ml-2">Live{isRace(game) ? '' : ` ${game.player1Score}-${game.player2Score}`}</span>
+                    )}
+                    {game.spectatorCount > 0 && <span className="ml-2">· {game.spectatorCount} watching</span>}
+                  </p>
                 </div>
-                <button
-                  onClick={() => joinGame(game.id)}
-                  className="bg-purple-600 text-white px-6 py-3 rounded-lg text-lg font-bold hover:bg-purple-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-purple-500 focus:ring-opacity-75"
-                >
-                  Join
-                </button>
+                {game.status === 'waiting' || isGamePlayer(game, userId) ? (
+                  <button
+                    onClick={() => joinGame(game.id)}
+                    className="bg-purple-600 text-white px-6 py-3 rounded-lg text-lg font-bold hover:bg-purple-700 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-purple-500 focus:ring-opacity-75"
+                  >
+                    {game.status === 'waiting' ? 'Join' : 'Open'}
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => onWatchGame(game.id)}
+                    className="bg-gray-600 text-white px-6 py-3 rounded-lg text-lg font-bold hover:bg-gray-500 transform hover:scale-105 transition duration-300 ease-in-out focus:outline-none focus:ring-4 focus:ring-gray-400 focus:ring-opacity-75"
+                  >
+                    Watch
+                  </button>
+                )}
               </li>
             ))}
           </ul>
@@ -575,38 +1512,883 @@ const GameLobby = ({ onJoinGame }) => {
         message={messageBox.message}
         onClose={() => setMessageBox({ ...messageBox, isOpen: false })}
         onConfirm={messageBox.onConfirm}
+        showCancel={messageBox.showCancel}
       />
     </div>
   );
 };
 
 
+/**
+ * RatingChart Component: A simple line chart of ratings in match order.
+ * @param {object} props - Component props.
+ * @param {number[]} props.ratings - Ratings, oldest first.
+ */
+const RatingChart = ({ ratings }) => {
+  if (ratings.length < 2) {
+    return <p className="text-gray-400 text-center">Play a few rated games to see your rating over time.</p>;
+  }
+  const width = 400;
+  const height = 150;
+  const padding = 10;
+  const min = Math.min(...ratings);
+  const max = Math.max(...ratings);
+  const range = Math.max(max - min, 1);
+  const points = ratings.map((rating, index) => {
+    const x = padding + (index / (ratings.length - 1)) * (width - 2 * padding);
+    const y = height - padding - ((rating - min) / range) * (height - 2 * padding);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-900 rounded-xl">
+        <polyline points={points.join(' ')} fill="none" stroke="#a78bfa" strokeWidth="2" strokeLinejoin="round" />
+      </svg>
+      <div className="flex justify-between text-sm text-gray-400 mt-1">
+        <span>Low {Math.round(min)}</span>
+        <span>High {Math.round(max)}</span>
+      </div>
+    </div>
+  );
+};
+
+
+/**
+ * StatsPage Component: The user's match history and statistics: rating over time,
+ * win/loss/draw record, best score, average solved per operation and head-to-head
+ * records against their most frequent opponents.
+ * @param {object} props - Component props.
+ * @param {function} props.onBack - Callback to return to the lobby.
+ * @param {function} props.onOpenReplay - Callback to open the replay of a game by ID.
+ */
+const StatsPage = ({ onBack, onOpenReplay }) => {
+  const { db, userId } = useContext(FirebaseContext);
+  const [matches, setMatches] = useState(null); // null while loading
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to load the user's most recent matches.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const matchesRef = collection(db, `artifacts/${appId}/users/${userId}/matches`);
+    getDocs(query(matchesRef, orderBy('finishedAt', 'desc'), limit(500)))
+      .then((snapshot) => setMatches(snapshot.docs.map((docSnap) => docSnap.data()).reverse()))
+      .catch((error) => {
+        console.error("Error fetching match history:", error);
+        setMatches([]);
+      });
+  }, [db, userId, appId]);
+
+  if (!matches) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100"><p className="text-2xl font-semibold animate-pulse">Loading Stats...</p></div>;
+  }
+
+  const { record, best, ratingHistory, operationAverages, headToHead } = summarizeMatches(matches);
+  const cardClass = "bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700 w-full mb-6";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center p-4 max-w-2xl mx-auto">
+      <div className="flex justify-between items-center w-full mb-6">
+        <h1 className="text-4xl font-extrabold text-gray-100">Your Stats</h1>
+        <button onClick={onBack} className="bg-gray-600 text-white py-2 px-4 rounded-xl font-bold hover:bg-gray-500 transition">Back to Lobby</button>
+      </div>
+
+      {matches.length === 0 ? (
+        <p className="text-gray-400 text-lg">No finished games yet. Play one!</p>
+      ) : (
+        <>
+          <div className={cardClass}>
+            <h2 className="text-2xl font-bold mb-4">Rating</h2>
+            <RatingChart ratings={ratingHistory} />
+          </div>
+
+          <div className={`${cardClass} grid grid-cols-2 gap-4 text-center`}>
+            <div>
+              <p className="text-gray-400">Record (W-L-D)</p>
+              <p className="text-3xl font-bold">{record.win}-{record.loss}-{record.draw}</p>
+            </div>
+            <div>
+              <p className="text-gray-400">Best Score</p>
+              <p className="text-3xl font-bold">{best.score}</p>
+              <p className="text-xs text-gray-400">{describeGameSettings(best.settings)}</p>
+            </div>
+          </div>
+
+          <div className={cardClass}>
+            <h2 className="text-2xl font-bold mb-4">Solved per Game by Operation</h2>
+            <ul className="space-y-2">
+              {Object.entries(OPERATIONS).filter(([key]) => operationAverages[key]).map(([key, op]) => (
+                <li key={key} className="flex justify-between">
+                  <span>{op.label} ({op.symbol})</span>
+                  <span className="font-bold">{operationAverages[key].average.toFixed(1)} <span className="text-sm font-normal text-gray-400">over {operationAverages[key].games} games</span></span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className={cardClass}>
+            <h2 className="text-2xl font-bold mb-4">Frequent Opponents</h2>
+            <ul className="space-y-2">
+              {headToHead.map((opponent) => (
+                <li key={opponent.key} className="flex justify-between items-center">
+                  <span className="flex items-center space-x-2">
+                    <Avatar seed={opponent.avatarSeed} size={28} />
+                    <span>{opponent.name}</span>
+                  </span>
+                  <span className="font-bold">{opponent.win}-{opponent.loss}-{opponent.draw}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className={cardClass}>
+            <h2 className="text-2xl font-bold mb-4">Recent Games</h2>
+            <ul className="space-y-2">
+              {matches.slice(-10).reverse().map((match) => (
+                <li key={match.gameId} className="flex justify-between text-sm">
+                  <span>
+                    {new Date(match.finishedAt).toLocaleDateString()}{' '}
+                    {match.opponentType === 'race'
+                      ? `Race (#${match.place} of ${match.racers})`
+                      : `vs ${formatPlayerName(match.opponentName, match.opponentId)}`}
+                  </span>
+                  <span>
+                    <span className={match.result === 'win' ? 'text-green-400' : match.result === 'loss' ? 'text-red-400' : 'text-gray-300'}>{match.score}-{match.opponentScore}</span>
+                    {match.forfeit && <span className="text-gray-400 ml-1">(forfeit)</span>}
+                    <span className="text-gray-400 ml-2">{match.ratingBefore} → {match.ratingAfter}</span>
+                    {match.opponentType !== 'race' && match.replayAvailable !== false && (
+                      <button onClick={() => onOpenReplay(match.gameId)} className="text-blue-400 hover:text-blue-300 ml-3 font-semibold">Replay</button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * LeaderboardPage Component: Shows one leaderboard at a time (all-time, monthly and weekly
+ * ratings, and high scores per settings preset). Boards and ranks are computed on the server
+ * by `updateLeaderboards`, so this reads only the board document and the user's own entry.
+ * @param {object} props - Component props.
+ * @param {function} props.onBack - Callback to return to the lobby.
+ */
+const LeaderboardPage = ({ onBack }) => {
+  const { db, userId } = useContext(FirebaseContext);
+  const [boardId, setBoardId] = useState('allTime');
+  const [board, setBoard] = useState(null); // The published board (null while loading or not yet ranked)
+  const [ownEntry, setOwnEntry] = useState(null); // The user's entry, with their rank on every board
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to follow the selected board.
+  useEffect(() => {
+    if (!db) return;
+    setBoard(null);
+    const boardRef = doc(db, `artifacts/${appId}/public/data/leaderboards`, boardId);
+    const unsubscribe = onSnapshot(boardRef, (docSnap) => {
+      setBoard(docSnap.exists() ? docSnap.data() : { entries: [], total: 0 });
+    }, (error) => {
+      console.error("Error fetching leaderboard:", error);
+    });
+    return () => unsubscribe();
+  }, [db, appId, boardId]);
+
+  // useEffect hook to follow the user's own entry.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const entryRef = doc(db, `artifacts/${appId}/public/data/leaderboardEntries`, userId);
+    const unsubscribe = onSnapshot(entryRef, (docSnap) => {
+      setOwnEntry(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error("Error fetching leaderboard entry:", error);
+    });
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  const selectedBoard = LEADERBOARDS[boardId];
+  const ownRank = ownEntry?.ranks?.[boardId];
+  const isOwnRankListed = board?.entries.some((entry) => entry.uid === userId);
+  const valueLabel = selectedBoard.type === 'highScore' ? 'Score' : 'Rating';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center p-4 max-w-2xl mx-auto">
+      <div className="flex justify-between items-center w-full mb-6">
+        <h1 className="text-4xl font-extrabold text-gray-100">Leaderboards</h1>
+        <button onClick={onBack} className="bg-gray-600 text-white py-2 px-4 rounded-xl font-bold hover:bg-gray-500 transition">Back to Lobby</button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6 w-full">
+        {Object.entries(LEADERBOARDS).map(([id, { label }]) => (
+          <button
+            key={id}
+            onClick={() => setBoardId(id)}
+            className={`py-2 px-3 rounded-lg text-sm font-semibold transition ${id === boardId ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700 w-full">
+        {selectedBoard.type === 'highScore' && (
+          <p className="text-sm text-gray-400 mb-4">Best score against a bot on the {GAME_PRESETS[selectedBoard.presetId].label} preset.</p>
+        )}
+        {!board ? (
+          <p className="text-gray-400 text-center animate-pulse">Loading...</p>
+        ) : board.entries.length === 0 ? (
+          <p className="text-gray-400 text-center">Nobody is ranked here yet.</p>
+        ) : (
+          <ol className="space-y-2">
+            {board.entries.map((entry) => (
+              <li key={entry.uid} className={`flex justify-between items-center p-2 rounded-lg ${entry.uid === userId ? 'bg-purple-900' : ''}`}>
+                <span className="flex items-center space-x-3">
+                  <span className="w-8 text-right font-bold text-gray-400">{entry.rank}</span>
+                  <Avatar seed={entry.avatarSeed || entry.uid} size={28} />
+                  <span>{formatPlayerName(entry.name, entry.uid)}</span>
+                </span>
+                <span className="font-bold">
+                  {Math.round(entry.value)}
+                  {selectedBoard.type === 'rating' && entry.provisional && <span className="text-yellow-400" title="Provisional rating">?</span>}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {board && !isOwnRankListed && (
+          <p className="mt-6 pt-4 border-t border-gray-700 text-center text-gray-300">
+            {ownRank
+              ? <>Your rank: <span className="font-bold text-white">#{ownRank.rank}</span> of {board.total} · {valueLabel} {Math.round(ownRank.value)}</>
+              : `You are not on this board yet.`}
+          </p>
+        )}
+        {board?.updatedAt && (
+          <p className="text-xs text-gray-500 text-center mt-4">Top {LEADERBOARD_SIZE} · updated {new Date(board.updatedAt).toLocaleTimeString()}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+/**
+ * ScoreChart Component: Each player's score over the course of a game, as step lines.
+ * @param {object} props - Component props.
+ * @param {{label: string, color: string, solvedAtMs: number[]}[]} props.series - Per player,
+ *   the times (milliseconds since the start) at which each problem was solved.
+ * @param {number} props.durationMs - Game length in milliseconds.
+ */
+const ScoreChart = ({ series, durationMs }) => {
+  const width = 400;
+  const height = 160;
+  const padding = 10;
+  const maxScore = Math.max(1, ...series.map(({ solvedAtMs }) => solvedAtMs.length));
+  const toX = (ms) => padding + (Math.min(ms, durationMs) / durationMs) * (width - 2 * padding);
+  const toY = (score) => height - padding - (score / maxScore) * (height - 2 * padding);
+  const toPoints = (solvedAtMs) => {
+    const points = [`${toX(0)},${toY(0)}`];
+    solvedAtMs.forEach((ms, index) => {
+      points.push(`${toX(ms).toFixed(1)},${toY(index).toFixed(1)}`, `${toX(ms).toFixed(1)},${toY(index + 1).toFixed(1)}`);
+    });
+    points.push(`${toX(durationMs)},${toY(solvedAtMs.length).toFixed(1)}`);
+    return points.join(' ');
+  };
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full bg-gray-900 rounded-xl">
+        {series.map(({ label, color, solvedAtMs }) => (
+          <polyline key={label} points={toPoints(solvedAtMs)} fill="none" stroke={color} strokeWidth="2" />
+        ))}
+      </svg>
+      <div className="flex justify-center space-x-4 text-sm mt-1">
+        {series.map(({ label, color }) => <span key={label} style={{ color }}>■ {label}</span>)}
+      </div>
+    </div>
+  );
+};
+
+
+/**
+ * ScoreBoard Component: The players' avatars, names and scores either side of the clock.
+ * @param {object} props - Component props.
+ * @param {{avatarSeed: string|null, label: string, score: number}} props.left - The player shown
+ *   on the left (green); no avatar is drawn while `avatarSeed` is null (an empty seat).
+ * @param {{avatarSeed: string|null, label: string, score: number}} props.right - The player shown on the right (red).
+ * @param {number} props.timer - Seconds left.
+ */
+const ScoreBoard = ({ left, right, timer }) => (
+  <div className="flex justify-around items-center mb-6 text-xl">
+    <div className="text-center w-1/3">
+      {left.avatarSeed && <Avatar seed={left.avatarSeed} size={40} />}
+      <p className="text-gray-400">{left.label}</p>
+      <p className="text-4xl font-extrabold text-green-400 mt-2">{left.score}</p>
+    </div>
+    <div className="text-center w-1/3">
+      <p className="text-gray-400">Time Left</p>
+      <p className="text-5xl font-extrabold text-yellow-400 mt-2">{timer}</p>
+    </div>
+    <div className="text-center w-1/3">
+      {right.avatarSeed && <Avatar seed={right.avatarSeed} size={40} />}
+      <p className="text-gray-400">{right.label}</p>
+      <p className="text-4xl font-extrabold text-red-400 mt-2">{right.score}</p>
+    </div>
+  </div>
+);
+
+
+/**
+ * ProblemPanel Component: The current problem, the answer box and right/wrong feedback.
+ * @param {object} props - Component props.
+ * @param {number} props.index - The problem's index (shown 1-based).
+ * @param {string} props.problem - The problem text, e.g. "12 × 7".
+ * @param {string} props.feedback - 'Correct!', 'Incorrect!' or '' for none.
+ * @param {React.ReactNode} props.children - The answer box.
+ */
+const ProblemPanel = ({ index, problem, feedback, children }) => (
+  <div className="text-center mb-8 relative">
+    <p className="text-gray-400 mb-2">Problem #{(index || 0) + 1}</p>
+    <p className="text-6xl font-bold text-white mb-4">{problem}</p>
+    {children}
+    {feedback && <p className={`absolute -bottom-8 left-1/2 -translate-x-1/2 text-2xl font-semibold ${feedback.startsWith('Correct') ? 'text-green-400' : 'text-red-400'}`}>{feedback}</p>}
+  </div>
+);
+
+
+/**
+ * SeriesPanel Component: The score of a best-of-N series (see functions/shared/series.js) and,
+ * once it is decided, its summary: the winner, every game's score and the viewer's rating change.
+ * @param {object} props - Component props.
+ * @param {object} props.series - The series document data.
+ * @param {string} props.gameId - The game being shown.
+ * @param {number} props.gameNumber - That game's number in the series.
+ * @param {string} props.viewerId - The user's ID, for their rating change.
+ * @param {function} [props.onNextGame] - Callback to open the series' next game by ID, once there is one.
+ */
+const SeriesPanel = ({ series, gameId, gameNumber, viewerId, onNextGame }) => {
+  const [a, b] = series.playerIds;
+  const nameOf = (id) => formatPlayerName(series.players[id]?.name, id);
+  const ratingChange = series.ratingChanges?.[viewerId];
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-xl border border-gray-700 mb-6 text-center w-full">
+      <p className="text-sm text-gray-400">Best of {series.bestOf} · Game {gameNumber}</p>
+      <p className="text-2xl font-bold">
+        {nameOf(a)} <span className="text-yellow-400">{series.wins[a] || 0} – {series.wins[b] || 0}</span> {nameOf(b)}
+      </p>
+      {series.status === 'playing' && <p className="text-sm text-gray-400 mt-1">Ratings change once the series is decided.</p>}
+      {series.status === 'playing' && onNextGame && series.currentGameId !== gameId && (
+        <button onClick={() => onNextGame(series.currentGameId)} className="mt-3 bg-green-600 text-white py-2 px-6 rounded-xl text-lg font-bold shadow-lg hover:bg-green-700 transition">Next Game</button>
+      )}
+      {series.status === 'finished' && (
+        <>
+          <p className="text-xl font-bold text-yellow-300 mt-2">{series.winnerId ? `${nameOf(series.winnerId)} wins the series!` : 'The series ends level!'}</p>
+          <table className="w-full mt-3 text-sm">
+            <thead>
+              <tr className="text-gray-400"><th>Game</th><th>{nameOf(a)}</th><th>{nameOf(b)}</th></tr>
+            </thead>
+            <tbody>
+              {series.games.map((seriesGame, index) => (
+                <tr key={seriesGame.gameId}>
+                  <td>{index + 1}</td>
+                  <td className={seriesGame.winnerId === a ? 'text-green-400 font-bold' : ''}>{seriesGame.scores[a]}</td>
+                  <td className={seriesGame.winnerId === b ? 'text-green-400 font-bold' : ''}>{seriesGame.scores[b]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {ratingChange && (
+            <p className="text-gray-300 mt-2">
+              Your Elo: {ratingChange.before} → {ratingChange.after} ({ratingChange.after >= ratingChange.before ? '+' : ''}{ratingChange.after - ratingChange.before})
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * GameResults Component: The result of a finished game: scores, winner and rating change,
+ * followed by a breakdown from the server-recorded telemetry: the player's slowest problems,
+ * average solve time per operation for both players, and both scores over time.
+ * Spectators see the same page from player 1's side, without a rating change.
+ * Players can offer and accept a rematch (see `respondToRematch`); going back to the lobby
+ * declines it. Series games show the series score instead of a rating change, and offer
+ * a rematch only once the series is over.
+ * @param {object} props - Component props.
+ * @param {object} props.game - The finished game document data.
+ * @param {object|null} props.series - The game's series, if it belongs to one.
+ * @param {string} props.gameId - The game's ID.
+ * @param {function} props.onBack - Callback to return to the lobby.
+ * @param {function} props.onWatchReplay - Callback to open this game's replay.
+ * @param {function} props.onRematch - Callback to move into the rematch (or the series' next game), with its game ID.
+ */
+const GameResults = ({ game, gameId, series, onBack, onWatchReplay, onRematch }) => {
+  const { db, functions, userId } = useContext(FirebaseContext);
+  const [telemetry, setTelemetry] = useState(null); // { player1: [...], player2: [...] }, null while loading
+  const [now, setNow] = useState(Date.now()); // Ticks while a rematch offer is open, for its countdown
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to load both players' telemetry once.
+  useEffect(() => {
+    if (!db) return;
+    getDocs(collection(db, `artifacts/${appId}/public/data/games/${gameId}/telemetry`))
+      .then((snapshot) => {
+        const byPlayer = { player1: [], player2: [] };
+        snapshot.forEach((docSnap) => { byPlayer[docSnap.id] = docSnap.data().problems || []; });
+        setTelemetry(byPlayer);
+      })
+      .catch((error) => {
+        console.error("Error fetching game telemetry:", error);
+        setTelemetry({ player1: [], player2: [] });
+      });
+  }, [db, appId, gameId]);
+
+  const isSpectator = userId !== game.player1Id && userId !== game.player2Id;
+  const playerKey = game.player2Id === userId ? 'player2' : 'player1';
+  const opponentKey = playerKey === 'player1' ? 'player2' : 'player1';
+  const opponentName = formatPlayerName(game[`${opponentKey}Name`], game[`${opponentKey}Id`]);
+  const playerName = isSpectator ? formatPlayerName(game[`${playerKey}Name`], game[`${playerKey}Id`]) : 'You';
+  const rating = getRatingChange(game, playerKey);
+  const ratingDelta = rating.after - rating.before;
+
+  // Rematch: move into the new game as soon as it exists, and count down an open offer.
+  const rematch = game.rematch;
+  useEffect(() => {
+    if (rematch?.gameId && !isSpectator) onRematch(rematch.gameId);
+  }, [rematch?.gameId, isSpectator, onRematch]);
+  useEffect(() => {
+    if (rematch?.status !== 'pending') return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [rematch?.status]);
+
+  // Accepts (offering, if nobody has yet) or declines a rematch.
+  const respondToRematch = useCallback((accept) =>
+    httpsCallable(functions, 'respondToRematch')({ appId, gameId, accept })
+      .catch((error) => console.error("Error responding to rematch:", error)), [functions, appId, gameId]);
+
+  // Closing the tab also declines, so the opponent is not left waiting for the timeout.
+  useEffect(() => {
+    if (isSpectator) return;
+    const decline = () => respondToRematch(false);
+    window.addEventListener('pagehide', decline);
+    return () => window.removeEventListener('pagehide', decline);
+  }, [isSpectator, respondToRematch]);
+
+  const leave = () => {
+    if (!isSpectator) respondToRematch(false);
+    onBack();
+  };
+
+  const rematchSecondsLeft = rematch?.expiresAt ? Math.max(0, Math.ceil((rematch.expiresAt.toMillis() - now) / 1000)) : 0;
+  const canRematch = !game.seriesId || series?.status === 'finished';
+  const isRematchOpen = !rematch || (rematch.status === 'pending' && rematchSecondsLeft > 0);
+  const hasAcceptedRematch = rematch?.acceptedBy?.includes(userId);
+  let rematchMessage = '';
+  if (rematch?.status === 'accepted') rematchMessage = 'Starting the rematch...';
+  else if (rematch?.status === 'declined') rematchMessage = 'Rematch declined.';
+  else if (!isRematchOpen) rematchMessage = 'The rematch offer expired.';
+  else if (hasAcceptedRematch) rematchMessage = `Waiting for ${opponentName} to accept... (${rematchSecondsLeft}s)`;
+  else if (rematch) rematchMessage = `${opponentName} wants a rematch! (${rematchSecondsLeft}s)`;
+
+  let headline = "It's a Draw!";
+  if (isSpectator && game.winnerId) headline = `${game.winnerId === game[`${playerKey}Id`] ? playerName : opponentName} wins!`;
+  else if (game.winnerId === userId) headline = `You beat ${opponentName}!`;
+  else if (game.winnerId) headline = `${opponentName} wins!`;
+  if (game.forfeitedBy === userId) headline = 'You disconnected and forfeited.';
+  else if (game.forfeitedBy) {
+    const forfeitName = game.forfeitedBy === game[`${playerKey}Id`] ? playerName : opponentName;
+    headline = `${forfeitName} disconnected and forfeited. ${isSpectator ? `${game.winnerId === game[`${playerKey}Id`] ? playerName : opponentName} wins!` : 'You win!'}`;
+  }
+
+  const startMs = game.startTime?.toMillis() ?? 0;
+  const durationMs = normalizeGameSettings(game.settings).duration * 1000;
+  const mine = telemetry && summarizeTelemetry(telemetry[playerKey]);
+  const theirs = telemetry && summarizeTelemetry(telemetry[opponentKey]);
+  const cardClass = "bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-700 w-full mb-6";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center p-4 max-w-2xl mx-auto">
+      <div className={`${cardClass} text-center`}>
+        <h2 className="text-4xl font-bold mb-2">{headline}</h2>
+        <p className="text-2xl mb-2">
+          <span className="text-green-400 font-bold">{game[`${playerKey}Score`]}</span>
+          <span className="text-gray-400"> – </span>
+          <span className="text-red-400 font-bold">{game[`${opponentKey}Score`]}</span>
+        </p>
+        {series && <SeriesPanel series={series} gameId={gameId} gameNumber={game.seriesGame} viewerId={userId} onNextGame={onRematch} />}
+        {!isSpectator && !game.seriesId && (
+          <p className="text-gray-300">
+            Your Elo: {rating.before} → {rating.after} ({ratingDelta >= 0 ? '+' : ''}{ratingDelta}){rating.estimated && ' (estimated)'}
+          </p>
+        )}
+        {!isSpectator && canRematch && rematchMessage && <p className="text-yellow-300 mt-4">{rematchMessage}</p>}
+        <div className="flex justify-center space-x-4 mt-4">
+          <button onClick={leave} className="bg-blue-600 text-white py-3 px-8 rounded-xl text-xl font-bold shadow-lg hover:bg-blue-700 transition">Back to Lobby</button>
+          {!isSpectator && canRematch && isRematchOpen && !hasAcceptedRematch && (
+            <button onClick={() => respondToRematch(true)} className="bg-green-600 text-white py-3 px-8 rounded-xl text-xl font-bold shadow-lg hover:bg-green-700 transition">
+              {rematch ? 'Accept Rematch' : 'Rematch'}
+            </button>
+          )}
+          <button onClick={onWatchReplay} className="bg-gray-600 text-white py-3 px-8 rounded-xl text-xl font-bold shadow-lg hover:bg-gray-500 transition">Watch Replay</button>
+        </div>
+      </div>
+
+      {!telemetry ? (
+        <p className="text-gray-400 animate-pulse">Loading breakdown...</p>
+      ) : (
+        <>
+          <div className={cardClass}>
+            <h3 className="text-2xl font-bold mb-4">Score Over Time</h3>
+            <ScoreChart
+              durationMs={durationMs}
+              series={[
+                { label: playerName, color: '#4ade80', solvedAtMs: telemetry[playerKey].map((p) => p.solvedAt - startMs) },
+                { label: opponentName, color: '#f87171', solvedAtMs: telemetry[opponentKey].map((p) => p.solvedAt - startMs) },
+              ]}
+            />
+          </div>
+
+          <div className={cardClass}>
+            <h3 className="text-2xl font-bold mb-4">Average Time per Operation</h3>
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-gray-400"><th></th><th>{playerName}</th><th>{opponentName}</th></tr>
+              </thead>
+              <tbody>
+                {Object.entries(OPERATIONS)
+                  .filter(([key]) => mine.averageMsByOperation[key] || theirs.averageMsByOperation[key])
+                  .map(([key, op]) => (
+                    <tr key={key}>
+                      <td>{op.label} ({op.symbol})</td>
+                      <td>{mine.averageMsByOperation[key] ? `${(mine.averageMsByOperation[key] / 1000).toFixed(2)}s` : '–'}</td>
+                      <td>{theirs.averageMsByOperation[key] ? `${(theirs.averageMsByOperation[key] / 1000).toFixed(2)}s` : '–'}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+            <p className="text-sm text-gray-400 mt-3">Wrong answers: {isSpectator ? playerName : 'you'} {mine.wrongAttempts}, {opponentName} {theirs.wrongAttempts}</p>
+          </div>
+
+          <div className={cardClass}>
+            <h3 className="text-2xl font-bold mb-4">{isSpectator ? `${playerName}'s` : 'Your'} Slowest Problems</h3>
+            {mine.slowest.length === 0 ? (
+              <p className="text-gray-400">No problems solved.</p>
+            ) : (
+              <ul className="space-y-1">
+                {mine.slowest.map((p) => (
+                  <li key={p.index} className="flex justify-between">
+                    <span className="font-mono">{p.problem}</span>
+                    <span>
+                      {(p.solveMs / 1000).toFixed(2)}s
+                      {p.wrongAttempts > 0 && <span className="text-red-400 ml-2">{p.wrongAttempts} wrong</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+
+/**
+ * RaceScoreboard Component: Every racer of a race (see functions/shared/races.js), ranked by
+ * live score while it runs, or in join order with the host marked while it waits for racers.
+ * @param {object} props - Component props.
+ * @param {object} props.game - The race document data.
+ * @param {string} props.viewerId - The user's ID, whose row is highlighted.
+ */
+const RaceScoreboard = ({ game, viewerId }) => {
+  const rows = game.status === 'waiting'
+    ? game.playerIds.map((uid) => ({ uid, score: 0, place: null }))
+    : getRaceStandings(game);
+  return (
+    <ol className="space-y-2 mb-6">
+      {rows.map(({ uid, score, place }) => (
+        <li key={uid} className={`flex justify-between items-center p-3 rounded-lg ${uid === viewerId ? 'bg-gray-600' : 'bg-gray-700'}`}>
+          <span className="flex items-center space-x-3">
+            {place !== null && <span className="w-6 text-right font-bold text-gray-300">{place}</span>}
+            <Avatar seed={game.players[uid].avatarSeed} size={28} />
+            <span>
+              {formatPlayerName(game.players[uid].name, uid)}
+              {uid === viewerId && ' (You)'}
+              {uid === game.hostId && game.status === 'waiting' && <span className="text-sm text-yellow-300 ml-2">Host</span>}
+            </span>
+          </span>
+          {place !== null && <span className="text-2xl font-extrabold text-green-400">{score}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+
+/**
+ * RaceResults Component: The final standings of a race, with each racer's rating change.
+ * Until `calculateEloOnGameEnd` has rated the race, the changes are estimated locally with
+ * the same `rateRace` math.
+ * @param {object} props - Component props.
+ * @param {object} props.game - The finished race's document data.
+ * @param {string} props.viewerId - The user's ID, whose row is highlighted.
+ * @param {function} props.onBack - Callback to return to the lobby.
+ */
+const RaceResults = ({ game, viewerId, onBack }) => {
+  const standings = game.standings || getRaceStandings(game);
+  const estimates = game.eloCalculated ? null : rateRace(standings.map(({ uid, place }) => ({
+    profile: { elo: game.players[uid].eloAtStart, ratingDeviation: game.players[uid].deviationAtStart },
+    place,
+  })));
+  const ownPlace = standings.find((entry) => entry.uid === viewerId)?.place;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4 font-inter">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full">
+        <h2 className="text-4xl font-bold mb-2 text-center text-gray-100">Race Over</h2>
+        <p className="text-center text-xl text-gray-300 mb-6">
+          {ownPlace ? `You finished #${ownPlace} of ${standings.length}` : `${standings.length} racers`}
+        </p>
+        <table className="w-full mb-6">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="p-2">#</th>
+              <th className="p-2">Racer</th>
+              <th className="p-2 text-right">Score</th>
+              <th className="p-2 text-right">Rating</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map(({ uid, score, place }, index) => {
+              const racer = game.players[uid];
+              const after = estimates ? estimates[index].elo : racer.newElo;
+              const change = Math.round(after) - Math.round(racer.eloAtStart);
+              return (
+                <tr key={uid} className={uid === viewerId ? 'bg-gray-700' : ''}>
+                  <td className="p-2 font-bold">{place}</td>
+                  <td className="p-2">
+                    <span className="flex items-center space-x-2">
+                      <Avatar seed={racer.avatarSeed} size={24} />
+                      <span>{formatPlayerName(racer.name, uid)}</span>
+                    </span>
+                  </td>
+                  <td className="p-2 text-right font-bold">{score}</td>
+                  <td className="p-2 text-right">
+                    {Math.round(after)}{' '}
+                    <span className={change >= 0 ? 'text-green-400' : 'text-red-400'}>({change >= 0 ? '+' : ''}{change})</span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {estimates && <p className="text-center text-sm text-gray-400 mb-4">Rating changes are estimates until the race is rated.</p>}
+        <button onClick={onBack} className="w-full bg-blue-600 text-white py-3 rounded-xl text-xl font-bold shadow-lg hover:bg-blue-700 transition">Back to Lobby</button>
+      </div>
+    </div>
+  );
+};
+
+
+/**
+ * ReplayViewer Component: Plays a finished game back from the event log that `applyAnswer`
+ * records for each player (see functions/shared/replay.js), with both players side by side
+ * on the GameRoom layout. Playback can be paused, sped up and scrubbed, and the replay can
+ * be downloaded as JSON.
+ * @param {object} props - Component props.
+ * @param {string} props.gameId - The ID of the game to replay.
+ * @param {function} props.onBack - Callback to leave the replay.
+ */
+const ReplayViewer = ({ gameId, onBack }) => {
+  const { db } = useContext(FirebaseContext);
+  const [replay, setReplay] = useState(undefined); // undefined while loading, null if there is none
+  const [position, setPosition] = useState(0); // Milliseconds since the game started
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to load the game and both players' event logs once.
+  useEffect(() => {
+    if (!db) return;
+    const gamePath = `artifacts/${appId}/public/data/games/${gameId}`;
+    Promise.all([getDoc(doc(db, gamePath)), getDocs(collection(db, `${gamePath}/replay`))])
+      .then(([gameSnap, replaySnap]) => {
+        // Races keep no two-player replay (see `buildReplay`).
+        if (!gameSnap.exists() || gameSnap.data().status !== 'finished' || isRace(gameSnap.data()) || replaySnap.empty) {
+          setReplay(null);
+          return;
+        }
+        const eventsByPlayer = {};
+        replaySnap.forEach((docSnap) => { eventsByPlayer[docSnap.id] = docSnap.data().events || []; });
+        setReplay(buildReplay(gameId, gameSnap.data(), eventsByPlayer));
+        setIsPlaying(true);
+      })
+      .catch((error) => {
+        console.error("Error fetching replay:", error);
+        setReplay(null);
+      });
+  }, [db, appId, gameId]);
+
+  const durationMs = replay
+    ? (replay.endTime && replay.startTime ? replay.endTime - replay.startTime : normalizeGameSettings(replay.settings).duration * 1000)
+    : 0;
+
+  // useEffect hook to advance playback on each animation frame, stopping at the end.
+  useEffect(() => {
+    if (!isPlaying || !durationMs) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - last) * speed;
+      last = now;
+      setPosition((current) => Math.min(durationMs, current + elapsed));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, speed, durationMs]);
+
+  useEffect(() => {
+    if (isPlaying && position >= durationMs) setIsPlaying(false);
+  }, [isPlaying, position, durationMs]);
+
+  if (replay === undefined) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100"><p className="text-2xl font-semibold animate-pulse">Loading Replay...</p></div>;
+  }
+
+  if (!replay) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 text-gray-100">
+        <p className="text-2xl font-semibold mb-4">No replay was recorded for this game.</p>
+        <button onClick={onBack} className="bg-gray-600 text-white py-2 px-4 rounded-xl font-bold hover:bg-gray-500 transition">Back</button>
+      </div>
+    );
+  }
+
+  const state = getReplayStateAt(replay, position);
+  const getFeedback = ({ lastAnswer }) => {
+    if (!lastAnswer || position - lastAnswer.t > REPLAY_FEEDBACK_MS) return '';
+    return lastAnswer.correct ? 'Correct!' : 'Incorrect!';
+  };
+  const getPlayer = (key) => ({
+    avatarSeed: replay.players[key].avatarSeed || replay.players[key].id,
+    label: formatPlayerName(replay.players[key].name, replay.players[key].id),
+    score: state[key].score,
+  });
+
+  const togglePlaying = () => {
+    if (!isPlaying && position >= durationMs) setPosition(0); // Play again from the start.
+    setIsPlaying(!isPlaying);
+  };
+
+  // Downloads the replay in the versioned JSON format.
+  const exportReplay = () => {
+    const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zetamac-replay-${gameId}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4 font-inter">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-4xl w-full">
+        <h2 className="text-4xl font-bold mb-2 text-center text-gray-100">Replay</h2>
+        <p className="text-center text-sm text-gray-400 mb-6">{describeGameSettings(replay.settings)}</p>
+        <ScoreBoard
+          left={getPlayer('player1')}
+          right={getPlayer('player2')}
+          timer={Math.ceil((durationMs - position) / 1000)}
+        />
+
+        <div className="grid grid-cols-2 gap-6">
+          {['player1', 'player2'].map((key) => (
+            <ProblemPanel key={key} index={state[key].index} problem={state[key].problem} feedback={getFeedback(state[key])}>
+              <div className="w-2/3 mx-auto p-4 text-center bg-gray-700 text-white border border-gray-600 rounded-lg text-4xl min-h-[4.5rem]">
+                {state[key].input}
+              </div>
+            </ProblemPanel>
+          ))}
+        </div>
+
+        <div className="flex items-center space-x-4 mt-6">
+          <button onClick={togglePlaying} className="bg-green-600 text-white py-2 px-6 rounded-xl font-bold hover:bg-green-700 transition w-28">
+            {isPlaying ? 'Pause' : 'Play'}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={durationMs}
+            step="100"
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            className="flex-grow"
+          />
+          <span className="font-mono text-gray-300">{formatClock(position)} / {formatClock(durationMs)}</span>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="p-2 bg-gray-700 border border-gray-600 rounded-lg">
+            {REPLAY_SPEEDS.map((option) => <option key={option} value={option}>{option}x</option>)}
+          </select>
+        </div>
+
+        <div className="flex justify-center space-x-4 mt-6">
+          <button onClick={onBack} className="bg-gray-600 text-white py-2 px-4 rounded-xl font-bold hover:bg-gray-500 transition">Back</button>
+          <button onClick={exportReplay} className="bg-blue-600 text-white py-2 px-4 rounded-xl font-bold hover:bg-blue-700 transition">Export JSON</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+
 /**
  * GameRoom Component: The main game interface where arithmetic problems are solved,
- * scores are tracked, and the timer runs. Handles human-vs-human and human-vs-bot logic.
+ * scores are tracked, and the timer runs. Human and bot games look the same here: bots are
+ * played by the `botTurn` Cloud Function and their progress arrives through the game snapshot.
+ * Users who are not one of the players watch read-only: both players' problems and scores,
+ * live. Spectators are counted on the game through `spectators/{uid}` documents.
  * @param {object} props - Component props.
  * @param {string} props.gameId - The ID of the current game.
  * @param {function} props.onGameEnd - Callback to return to the lobby after the game ends.
+ * @param {function} props.onWatchReplay - Callback to open the replay once the game has finished.
+ * @param {function} props.onRematch - Callback to open the rematch game by ID once both players accept.
  */
-const GameRoom = ({ gameId, onGameEnd }) => {
+const GameRoom = ({ gameId, onGameEnd, onWatchReplay, onRematch }) => {
   // Access Firebase instances and user ID from context.
-  const { db, userId } = useContext(FirebaseContext);
+  const { db, functions, userId } = useContext(FirebaseContext);
   
   // State variables for game data, user input, feedback, timer, and game activity.
   const [game, setGame] = useState(null);
   const [isGameActive, setIsGameActive] = useState(false);
-  const [timer, setTimer] = useState(GAME_DURATION_SECONDS);
+  const [timer, setTimer] = useState(DEFAULT_GAME_SETTINGS.duration);
   const [playerInput, setPlayerInput] = useState('');
   const [feedback, setFeedback] = useState('');
   const [messageBox, setMessageBox] = useState({ isOpen: false });
-  const [resultsShown, setResultsShown] = useState(false); // Prevents modal from re-opening
+  const [series, setSeries] = useState(null); // The game's best-of-N series, if any
+  const [solvedIndex, setSolvedIndex] = useState(-1); // Last problem answered correctly here, confirmed or not
+  const [lastSeen, setLastSeen] = useState({}); // Each player's last heartbeat in milliseconds, by user ID
   
   // Refs for DOM elements and intervals
   const inputRef = useRef(null);
-  const botIntervalRef = useRef(null);
+  const outboxRef = useRef([]); // Answers waiting for `submitAnswer`, oldest first
+  const sendingRef = useRef(false); // True while the outbox is being sent
+  const keystrokesRef = useRef([]); // Answer box values since the last submission, for the replay
 
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
-  const gameRef = doc(db, `artifacts/${appId}/public/data/games`, gameId);
+  const gameRef = useMemo(() => doc(db, `artifacts/${appId}/public/data/games`, gameId), [db, appId, gameId]);
 
   // --- REFACTORED useEffect HOOKS for stability ---
 
@@ -627,7 +2409,7 @@ const GameRoom = ({ gameId, onGameEnd }) => {
     });
     
     return () => unsubscribe();
-  }, [db, gameId, onGameEnd]);
+  }, [db, gameId, gameRef, onGameEnd]);
 
   // Effect 2: Game Logic. Reacts to changes in the 'game' object from Firestore.
   useEffect(() => {
@@ -635,199 +2417,353 @@ const GameRoom = ({ gameId, onGameEnd }) => {
 
     // --- Handle 'playing' state ---
     if (game.status === 'playing') {
-      if (!isGameActive) setIsGameActive(true);
-      const elapsed = Math.floor((Date.now() - game.startTime) / 1000);
-      setTimer(Math.max(0, GAME_DURATION_SECONDS - elapsed));
-
-      // Bot logic
-      if (game.opponentType?.startsWith('bot') && !botIntervalRef.current) {
-        const botSpeed = game.opponentType === 'bot-1000' ? BOT_1000_SPEED_MS : BOT_2000_SPEED_MS;
-        botIntervalRef.current = setInterval(async () => {
-          const currentDocSnap = await getDoc(gameRef);
-          if (currentDocSnap.exists() && currentDocSnap.data().status === 'playing') {
-            await updateDoc(gameRef, { player2Score: (currentDocSnap.data().player2Score || 0) + 1 });
-          }
-        }, botSpeed);
-      }
+      setIsGameActive(true);
+      setTimer(getSecondsLeft(game));
     } 
-    // --- Handle 'finished' state ---
+    // --- Handle 'finished' state --- (the results replace the game view; see GameResults)
     else if (game.status === 'finished') {
-      if (isGameActive) setIsGameActive(false);
-      
-      if (botIntervalRef.current) {
-        clearInterval(botIntervalRef.current);
-        botIntervalRef.current = null;
-      }
-      
-      // Only show results modal ONCE
-      if (!resultsShown) {
-        showGameResults(game);
-        setResultsShown(true);
-      }
+      setIsGameActive(false);
     }
-
-    // Cleanup for bot interval when component unmounts or game object changes
-    return () => {
-      if (botIntervalRef.current) {
-        clearInterval(botIntervalRef.current);
-        botIntervalRef.current = null;
-      }
-    };
   }, [game]); // This effect runs whenever the 'game' object from Firestore changes.
 
-  // Effect 3: Countdown Timer. Reacts only to game activity and time changes.
+  const isSpectator = !!game && !isGamePlayer(game, userId);
+
+  // Asks the server to finish the game once time is up.
+  const endGame = useCallback(async () => {
+    if (isSpectator) return; // Only players may ask; the server finishes the game regardless.
+    try {
+      await httpsCallable(functions, 'endGame')({ appId, gameId });
+    } catch (e) {
+      console.error("Error ending game:", e);
+    }
+  }, [isSpectator, functions, appId, gameId]);
+
+  // Effect 3: Countdown Timer. Counts down to the server-set `endTime` rather than
+  // trusting local ticks, so every client shows the same remaining time.
+  const endTimeMillis = game?.endTime?.toMillis();
   useEffect(() => {
     let timerInterval;
     if (isGameActive && timer > 0) {
       timerInterval = setInterval(() => {
-        setTimer(prev => prev - 1);
-      }, 1000);
+        setTimer(getSecondsUntil(endTimeMillis));
+      }, 250);
     } else if (isGameActive && timer === 0) {
-      // Timer ran out, end the game.
-      endGame();
+      // Time is up. The server finishes the game on its own; only nudge it if that seems late.
+      timerInterval = setTimeout(endGame, END_GAME_FALLBACK_DELAY_MS);
     }
     return () => clearInterval(timerInterval);
-  }, [isGameActive, timer]);
+  }, [isGameActive, timer, endTimeMillis, endGame]);
 
-  // Effect 4: Auto-focus input field
+  // Effect 4: Spectator presence. A spectator is counted while a game that is not over yet is open.
+  const isWatchingLive = isSpectator && game.status !== 'finished';
+  useEffect(() => {
+    if (!isWatchingLive) return;
+    const spectatorRef = doc(db, `artifacts/${appId}/public/data/games/${gameId}/spectators`, userId);
+    setDoc(spectatorRef, { joinedAt: serverTimestamp() })
+      .catch((error) => console.error("Error registering spectator:", error));
+    return () => {
+      deleteDoc(spectatorRef).catch((error) => console.error("Error unregistering spectator:", error));
+    };
+  }, [isWatchingLive, db, appId, gameId, userId]);
+
+  // Effect 5: Series subscription, for the live series score and summary.
+  const seriesId = game?.seriesId;
+  useEffect(() => {
+    if (!db || !seriesId) return;
+    const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/public/data/series`, seriesId), (docSnap) => {
+      setSeries(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error("Error fetching series:", error);
+    });
+    return () => unsubscribe();
+  }, [db, appId, seriesId]);
+
+  // Effect 6: Heartbeats. A player in a two-player game who stops sending them forfeits after a
+  // grace period (see `checkPresence`), so closing the tab no longer leaves the opponent waiting.
+  const isHeartbeating = !!game && !isSpectator && !isRace(game) && game.status === 'playing';
+  useEffect(() => {
+    if (!isHeartbeating) return;
+    const presenceRef = doc(db, `artifacts/${appId}/public/data/games/${gameId}/presence`, userId);
+    const beat = () => setDoc(presenceRef, { lastSeen: serverTimestamp() })
+      .catch((error) => console.error("Error sending heartbeat:", error));
+    beat();
+    const interval = setInterval(beat, PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [isHeartbeating, db, appId, gameId, userId]);
+
+  // Effect 7: Presence subscription, to show when a player has lost their connection.
+  const isTwoPlayerGameLive = !!game && !isRace(game) && game.status === 'playing';
+  useEffect(() => {
+    if (!isTwoPlayerGameLive) return;
+    const unsubscribe = onSnapshot(collection(db, `artifacts/${appId}/public/data/games/${gameId}/presence`), (snapshot) => {
+      setLastSeen(Object.fromEntries(snapshot.docs.map((docSnap) => [docSnap.id, docSnap.data().lastSeen?.toMillis() ?? null])));
+    }, (error) => {
+      console.error("Error fetching presence:", error);
+    });
+    return () => unsubscribe();
+  }, [isTwoPlayerGameLive, db, appId, gameId]);
+
+  // The player's own progress, ahead of the server by any answers still queued (see `sendAnswers`).
+  // Problems past the published ones (see `UPCOMING_PROBLEM_COUNT`) show once the server catches up.
+  const ownState = game ? getPlayerState(game, userId) : null;
+  const localIndex = ownState ? Math.max(ownState.problemIndex, solvedIndex + 1) : 0;
+  const localScore = ownState ? ownState.score + localIndex - ownState.problemIndex : 0;
+  const localProblem = !ownState ? null
+    : localIndex === ownState.problemIndex ? ownState.problem
+      : ownState.upcomingProblems?.[localIndex - ownState.problemIndex - 1] ?? null;
+
+  // Effect 8: Auto-focus input field
   useEffect(() => {
     if (isGameActive && game?.status === 'playing') {
       inputRef.current?.focus();
     }
-  }, [isGameActive, game?.status, game?.currentProblem]);
+  }, [isGameActive, game?.status, localProblem]);
 
 
   const startGame = async () => {
-    if (!game || game.player1Id !== userId || game.status !== 'ready') return;
+    if (!game || game.status !== 'ready') return;
+    // A series game starts once both players are ready; a single game is started by player 1.
+    if (!(game.bestOf > 1) && game.player1Id !== userId) return;
     try {
-      const { problem, answer } = generateProblem();
-      await updateDoc(gameRef, {
-        status: 'playing',
-        startTime: Date.now(),
-        currentProblem: problem,
-        currentAnswer: answer,
-      });
+      // The server generates the first problem and keeps its answer private.
+      await httpsCallable(functions, 'startGame')({ appId, gameId });
     } catch (e) {
       console.error("Error starting game:", e);
     }
   };
 
-  const handleInputChange = async (e) => {
-    const value = e.target.value;
-    setPlayerInput(value);
-    if (!game || game.status !== 'playing') return;
+  // Starts a race; only its host may, once enough racers have joined.
+  const startRace = async () => {
+    try {
+      await httpsCallable(functions, 'startGame')({ appId, gameId });
+    } catch (e) {
+      console.error("Error starting race:", e);
+      setMessageBox({ isOpen: true, title: 'Error', message: `Failed to start race: ${e.message}` });
+    }
+  };
 
-    const expectedAnswerString = String(game.currentAnswer);
-    if (value.length === expectedAnswerString.length) {
-      if (value === expectedAnswerString) {
-        setFeedback('Correct!');
-        setPlayerInput('');
-        try {
-          const newScore = (userId === game.player1Id ? game.player1Score : game.player2Score) + 1;
-          const { problem: nextProblem, answer: nextAnswer } = generateProblem();
-          await updateDoc(gameRef, {
-            currentProblem: nextProblem,
-            currentAnswer: nextAnswer,
-            [userId === game.player1Id ? 'player1Score' : 'player2Score']: newScore,
-          });
-        } catch (e) {
-          console.error("Error updating on correct answer:", e);
-        }
-      } else {
-        setFeedback('Incorrect!');
-      }
-      setTimeout(() => setFeedback(''), 500);
+  // Gives up a seat in a race that has not started, and returns to the lobby.
+  const leaveRace = async () => {
+    try {
+      await httpsCallable(functions, 'leaveRace')({ appId, gameId });
+      onGameEnd();
+    } catch (e) {
+      console.error("Error leaving race:", e);
     }
   };
 
-  const endGame = async () => {
-    // To prevent multiple triggers, fetch the latest doc and only update if it's still 'playing'
-    const currentDoc = await getDoc(gameRef);
-    if (currentDoc.exists() && currentDoc.data().status === 'playing') {
+  // Sends queued answers to `submitAnswer` one at a time, in the order they were typed. The
+  // server still decides every answer; if it disagrees with the local check, or an answer cannot
+  // be sent, the answers not yet confirmed are dropped and the view falls back to the server's.
+  const sendAnswers = async () => {
+    if (sendingRef.current) return;
+    sendingRef.current = true;
+    while (outboxRef.current.length > 0) {
+      const submission = outboxRef.current[0];
+      // The keystrokes are sent as offsets from now, so the server can place them on its own clock.
+      const sentAt = performance.now();
       try {
-        const gameData = currentDoc.data();
-        let winnerId = null;
-        if (gameData.player1Score > gameData.player2Score) {
-          winnerId = gameData.player1Id;
-        } else if (gameData.player2Score > gameData.player1Score) {
-          winnerId = gameData.player2Id;
-        }
-        await updateDoc(gameRef, { status: 'finished', winnerId });
+        const { data } = await httpsCallable(functions, 'submitAnswer')({
+          appId,
+          gameId,
+          problemIndex: submission.problemIndex,
+          answer: submission.answer,
+          keystrokes: submission.keystrokes.map((keystroke) => ({
+            value: keystroke.value,
+            msBeforeSubmit: Math.round(sentAt - keystroke.at),
+          })),
+        });
+        outboxRef.current.shift();
+        // A stale answer was already counted (a duplicate submission), so it needs no rollback.
+        if (submission.correct && !data.correct && !data.stale) throw new Error('The server rejected an answer.');
       } catch (e) {
-        console.error("Error ending game:", e);
+        console.error("Error submitting answer:", e);
+        outboxRef.current = [];
+        setSolvedIndex(-1);
+        setPlayerInput('');
+        keystrokesRef.current = [];
       }
     }
+    sendingRef.current = false;
   };
 
-  const showGameResults = (finalGameData) => {
-    const isPlayer1 = finalGameData.player1Id === userId;
-    let resultMessage = `Game Over!\n\nYour Score: ${isPlayer1 ? finalGameData.player1Score : finalGameData.player2Score}\nOpponent's Score: ${isPlayer1 ? finalGameData.player2Score : finalGameData.player1Score}\n\n`;
-
-    if (finalGameData.winnerId === userId) {
-      resultMessage += "You Win!\n";
-    } else if (finalGameData.winnerId === null) {
-      resultMessage += "It's a Draw!\n";
+  // Checks an answer locally as soon as it has the right length, and moves straight on to the
+  // next problem (published ahead of time by the server) while the answer is queued for
+  // `submitAnswer`. The server's score and problem catch up as the queue drains.
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setPlayerInput(value);
+    keystrokesRef.current.push({ value, at: performance.now() });
+    if (!game || game.status !== 'playing' || !localProblem) return;
+
+    const answer = getProblemAnswer(localProblem);
+    if (value.length !== String(answer).length) return;
+    const correct = Number(value) === answer;
+    outboxRef.current.push({ problemIndex: localIndex, answer: value, correct, keystrokes: keystrokesRef.current });
+    keystrokesRef.current = [];
+    if (correct) {
+      setSolvedIndex(localIndex);
+      setPlayerInput('');
+      setFeedback('Correct!');
     } else {
-      resultMessage += "You Lose!\n";
+      setFeedback('Incorrect!');
     }
-
-    {/* // Check if the cloud function has finished its calculation
-    if (finalGameData.eloCalculated) {
-      const yourOldElo = isPlayer1 ? finalGameData.player1EloAtStart : finalGameData.player2EloAtStart;
-      const yourNewElo = isPlayer1 ? finalGameData.player1NewElo : finalGameData.player2NewElo;
-      const eloChange = yourNewElo - yourOldElo;
-      resultMessage += `\nYour Elo: ${yourOldElo} -> ${yourNewElo} (${eloChange >= 0 ? '+' : ''}${eloChange})`;
-    } else {
-      resultMessage += "\nCalculating Elo results...";
-    } */}
-
-    setMessageBox({ isOpen: true, title: 'Game Over!', message: resultMessage, onConfirm: onGameEnd });
+    setTimeout(() => setFeedback(''), 500);
+    sendAnswers();
   };
 
+  // Fallback for ending the game. A Cloud Task normally finishes it at `endTime` even with no
+  // clients connected; the server ignores this request if time is not actually up.
   if (!game) {
     return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100"><p className="text-2xl font-semibold animate-pulse">Loading Game Room...</p></div>;
   }
 
+  if (game.status === 'finished' && isRace(game)) {
+    return <RaceResults game={game} viewerId={userId} onBack={onGameEnd} />;
+  }
+
+  if (game.status === 'finished') {
+    return <GameResults game={game} gameId={gameId} series={series} onBack={onGameEnd} onWatchReplay={onWatchReplay} onRematch={onRematch} />;
+  }
+
+  if (isRace(game)) {
+    const isHost = game.hostId === userId;
+    const canStart = game.playerIds.length >= RACE_MIN_PLAYERS;
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4 font-inter">
+        <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full">
+          <h2 className="text-4xl font-bold mb-2 text-center text-gray-100">Zetamac Race</h2>
+          <p className="text-center text-sm text-gray-400 mb-6">
+            {describeGameSettings(game.settings)} · {game.playerIds.length}/{game.maxPlayers} racers
+          </p>
+          {game.status === 'playing' && (
+            <div className="text-center mb-6">
+              <p className="text-gray-400">Time Left</p>
+              <p className="text-5xl font-extrabold text-yellow-400 mt-2">{timer}</p>
+            </div>
+          )}
+          {game.status === 'playing' && !isSpectator && (
+            <ProblemPanel index={localIndex} problem={localProblem ?? '…'} feedback={feedback}>
+              <input ref={inputRef} type="number" value={playerInput} onChange={handleInputChange} className="w-2/3 p-4 text-center bg-gray-700 text-white border border-gray-600 rounded-lg text-4xl" placeholder="Answer" autoComplete="off" />
+            </ProblemPanel>
+          )}
+          <RaceScoreboard game={game} viewerId={userId} />
+          {game.status === 'waiting' && isHost && (
+            <div className="text-center">
+              <p className="text-2xl text-gray-400 mb-4">
+                {canStart ? 'Start whenever everyone is here.' : `Waiting for at least ${RACE_MIN_PLAYERS} racers...`}
+              </p>
+              <button onClick={startRace} disabled={!canStart} className="bg-green-600 text-white py-4 px-8 rounded-xl text-2xl font-bold shadow-lg hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed">Start Race</button>
+            </div>
+          )}
+          {game.status === 'waiting' && !isHost && <p className="text-center text-2xl text-gray-400">Waiting for the host to start...</p>}
+          {game.status === 'waiting' && !isSpectator && (
+            <div className="text-center mt-4">
+              <button onClick={leaveRace} className="bg-gray-600 text-white py-2 px-6 rounded-xl text-lg font-bold shadow-lg hover:bg-gray-500 transition">Leave Race</button>
+            </div>
+          )}
+          {game.spectatorCount > 0 && <p className="text-center text-sm text-gray-400 mt-4">{game.spectatorCount} watching</p>}
+          {game.status === 'playing' && timer === 0 && <p className="text-center text-2xl text-gray-300 mb-4">Time's up!</p>}
+        </div>
+        <MessageBox {...messageBox} onClose={messageBox.onConfirm || (() => setMessageBox({ isOpen: false }))} onConfirm={messageBox.onConfirm} />
+      </div>
+    );
+  }
+
   const isPlayer1 = userId === game.player1Id;
-  const currentPlayerScore = isPlayer1 ? game.player1Score : game.player2Score;
-  const opponentPlayerScore = isPlayer1 ? game.player2Score : game.player1Score;
-  const opponentPlayerId = isPlayer1 ? game.player2Id : game.player1Id;
+  // Spectators see player 1 on the left, like player 1 does.
+  const playerKey = isPlayer1 || isSpectator ? 'player1' : 'player2';
+  const opponentKey = playerKey === 'player1' ? 'player2' : 'player1';
+  const opponentPlayerId = game[`${opponentKey}Id`];
+  const isSeriesGame = game.bestOf > 1;
+  // Human players missing two heartbeats in a row, with the seconds until they forfeit.
+  const disconnected = game.status !== 'playing' ? [] : ['player1', 'player2']
+    .filter((key) => key === 'player1' || game.opponentType === 'human')
+    .map((key) => {
+      const id = game[`${key}Id`];
+      const seen = Math.max(lastSeen[id] ?? 0, game.startTime.toMillis());
+      const forfeitIn = Math.max(0, Math.ceil((getForfeitDeadline(lastSeen[id] ?? null, game.startTime.toMillis()) - Date.now()) / 1000));
+      return { id, name: formatPlayerName(game[`${key}Name`], id), seen, forfeitIn };
+    })
+    .filter(({ id, seen }) => id !== userId && Date.now() - seen > 2 * PRESENCE_HEARTBEAT_MS);
+
+  // Copies the private room's invite link for sharing.
+  const copyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(game.roomCode));
+      setMessageBox({ isOpen: true, title: 'Invite Link Copied', message: 'Send it to your opponent to let them join.' });
+    } catch (e) {
+      console.error("Error copying invite link:", e);
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4 font-inter">
       <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full">
-        <h2 className="text-4xl font-bold mb-6 text-center text-gray-100">Zetamac Race</h2>
-        <div className="flex justify-around items-center mb-6 text-xl">
-          <div className="text-center w-1/3">
-            <p className="text-gray-400">You</p>
-            <p className="text-4xl font-extrabold text-green-400 mt-2">{currentPlayerScore}</p>
-          </div>
-          <div className="text-center w-1/3">
-            <p className="text-gray-400">Time Left</p>
-            <p className="text-5xl font-extrabold text-yellow-400 mt-2">{timer}</p>
-          </div>
-          <div className="text-center w-1/3">
-            <p className="text-gray-400">Opponent</p>
-            <p className="text-4xl font-extrabold text-red-400 mt-2">{opponentPlayerScore}</p>
-          </div>
-        </div>
+        <h2 className="text-4xl font-bold mb-2 text-center text-gray-100">Zetamac Race</h2>
+        <p className="text-center text-sm text-gray-400 mb-6">{describeGameSettings(game.settings)}</p>
+        {series && <SeriesPanel series={series} gameId={gameId} gameNumber={game.seriesGame} viewerId={userId} />}
+        {!series && game.bestOf > 1 && <p className="text-center text-lg text-yellow-300 mb-6">Best of {game.bestOf} series</p>}
+        <ScoreBoard
+          left={{
+            avatarSeed: game[`${playerKey}AvatarSeed`] || game[`${playerKey}Id`],
+            label: formatPlayerName(game[`${playerKey}Name`], game[`${playerKey}Id`]) + (isSpectator ? '' : ' (You)'),
+            score: isSpectator ? game[`${playerKey}Score`] : localScore,
+          }}
+          right={{
+            avatarSeed: opponentPlayerId ? game[`${opponentKey}AvatarSeed`] || opponentPlayerId : null,
+            label: opponentPlayerId ? formatPlayerName(game[`${opponentKey}Name`], opponentPlayerId) : 'Opponent',
+            score: game[`${opponentKey}Score`],
+          }}
+          timer={timer}
+        />
 
-        {game.status === 'playing' && (
-          <div className="text-center mb-8 relative">
-            <p className="text-6xl font-bold text-white mb-4">{game.currentProblem}</p>
-            <input ref={inputRef} type="number" value={playerInput} onChange={handleInputChange} className="w-2/3 p-4 text-center bg-gray-700 text-white border border-gray-600 rounded-lg text-4xl" placeholder="Answer" autoComplete="off" />
-            {feedback && <p className={`absolute -bottom-8 left-1/2 -translate-x-1/2 text-2xl font-semibold ${feedback.startsWith('Correct') ? 'text-green-400' : 'text-red-400'}`}>{feedback}</p>}
+        {disconnected.map(({ id, name, forfeitIn }) => (
+          <p key={id} className="text-center text-lg text-yellow-300 mb-4">
+            {name} lost their connection. They forfeit in {forfeitIn}s unless they come back.
+          </p>
+        ))}
+        {game.status === 'playing' && isSpectator && (
+          <div className="grid grid-cols-2 gap-6">
+            {['player1', 'player2'].map((key) => (
+              <ProblemPanel key={key} index={game[`${key}ProblemIndex`]} problem={game[`${key}Problem`]} feedback="" />
+            ))}
           </div>
         )}
+        {game.status === 'playing' && !isSpectator && (
+          <ProblemPanel index={localIndex} problem={localProblem ?? '…'} feedback={feedback}>
+            <input ref={inputRef} type="number" value={playerInput} onChange={handleInputChange} className="w-2/3 p-4 text-center bg-gray-700 text-white border border-gray-600 rounded-lg text-4xl" placeholder="Answer" autoComplete="off" />
+          </ProblemPanel>
+        )}
         {game.status === 'waiting' && <p className="text-center text-2xl text-gray-400">Waiting for an opponent...</p>}
-        {game.status === 'ready' && isPlayer1 && (
+        {game.status === 'waiting' && game.roomCode && (
+          <div className="text-center mt-4">
+            <p className="text-gray-400">Room code</p>
+            <p className="text-4xl font-mono font-bold tracking-widest text-blue-300 mb-2">{game.roomCode}</p>
+            <p className="text-sm text-gray-400 mb-3 break-all">{getInviteLink(game.roomCode)}</p>
+            <button onClick={copyInviteLink} className="bg-blue-600 text-white py-2 px-6 rounded-xl text-lg font-bold shadow-lg hover:bg-blue-700 transition">Copy Invite Link</button>
+          </div>
+        )}
+        {game.spectatorCount > 0 && <p className="text-center text-sm text-gray-400 mt-4">{game.spectatorCount} watching</p>}
+        {game.status === 'ready' && isSeriesGame && !isSpectator && (
+          game.readyPlayerIds?.includes(userId)
+            ? <p className="text-center text-2xl text-gray-400">Waiting for your opponent to be ready...</p>
+            : (
+              <div className="text-center">
+                <p className="text-2xl text-gray-400 mb-4">Ready for the next game of the series?</p>
+                <button onClick={startGame} className="bg-green-600 text-white py-4 px-8 rounded-xl text-2xl font-bold shadow-lg hover:bg-green-700 transition">I'm Ready</button>
+              </div>
+            )
+        )}
+        {game.status === 'ready' && isSeriesGame && isSpectator && <p className="text-center text-2xl text-gray-400">Waiting for both players to be ready...</p>}
+        {game.status === 'ready' && !isSeriesGame && isPlayer1 && (
           <div className="text-center">
             <p className="text-2xl text-gray-400 mb-4">Opponent has joined. Ready to start?</p>
             <button onClick={startGame} className="bg-green-600 text-white py-4 px-8 rounded-xl text-2xl font-bold shadow-lg hover:bg-green-700 transition">Start Game</button>
           </div>
         )}
-        {game.status === 'ready' && !isPlayer1 && <p className="text-center text-2xl text-gray-400">Waiting for Player 1 to start...</p>}
-        {game.status === 'finished' && <p className="text-center text-2xl text-gray-300 mb-4">Game has ended. Calculating results...</p>}
+        {game.status === 'ready' && !isSeriesGame && !isPlayer1 && <p className="text-center text-2xl text-gray-400">Waiting for Player 1 to start...</p>}
+        {game.status === 'playing' && timer === 0 && <p className="text-center text-2xl text-gray-300 mb-4">Time's up!</p>}
       </div>
       <MessageBox {...messageBox} onClose={messageBox.onConfirm || (() => setMessageBox({ isOpen: false }))} onConfirm={messageBox.onConfirm} />
     </div>
@@ -835,21 +2771,237 @@ const GameRoom = ({ gameId, onGameEnd }) => {
 };
 
 /**
- * Main App component that manages game flow between Lobby and GameRoom.
+ * PracticeRoom Component: A solo run against the clock with the usual game settings, played
+ * entirely in the browser. Problems come from `generateProblem` and are checked locally, so
+ * nothing is written while playing and a run works even when Firestore is unreachable. Practice
+ * is unrated; a score above the personal best for the settings preset is saved to the user's own
+ * `practice/bests` document when the run ends (queued in the offline cache until Firestore is back).
+ * That document is separate from the profile, so saving works before the profile exists.
+ * @param {object} props - Component props.
+ * @param {function} props.onBack - Callback to return to the lobby.
  */
-const App = () => {
-  const [currentGameId, setCurrentGameId] = useState(null); // State to hold the ID of the active game.
+const PracticeRoom = ({ onBack }) => {
+  const { db, userId } = useContext(FirebaseContext);
+  const [settings, setSettings] = useState(DEFAULT_GAME_SETTINGS); // Settings for the next run
+  const [phase, setPhase] = useState('setup'); // 'setup', 'playing' or 'finished'
+  const [problem, setProblem] = useState(null); // The current { problem, answer } while playing
+  const [score, setScore] = useState(0);
+  const [timer, setTimer] = useState(0);
+  const [playerInput, setPlayerInput] = useState('');
+  const [feedback, setFeedback] = useState('');
+  const [practiceBests, setPracticeBests] = useState({}); // Best practice score per preset id
+  const [result, setResult] = useState(null); // { presetId, previousBest, isNewBest } of the last run
 
-  // Callback function to transition to the GameRoom.
-  const handleJoinGame = (gameId) => {
-    setCurrentGameId(gameId);
+  const inputRef = useRef(null);
+  const runRef = useRef(null); // { settings, endTime, score } of the current run, for the timer
+
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'zetamac-multiplayer-game';
+
+  // useEffect hook to follow the personal bests (served from the offline cache when needed).
+  useEffect(() => {
+    if (!db || !userId) return;
+    const bestsRef = doc(db, `artifacts/${appId}/users/${userId}/practice`, 'bests');
+    const unsubscribe = onSnapshot(bestsRef, (docSnap) => {
+      setPracticeBests(docSnap.data() || {});
+    }, (error) => {
+      console.error("Error fetching practice bests:", error);
+    });
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // useEffect hook to run the clock, and to end the run (saving a new personal best) at zero.
+  useEffect(() => {
+    if (phase !== 'playing') return;
+    const interval = setInterval(() => {
+      const run = runRef.current;
+      const secondsLeft = Math.max(0, Math.ceil((run.endTime - Date.now()) / 1000));
+      setTimer(secondsLeft);
+      if (secondsLeft > 0) return;
+
+      clearInterval(interval);
+      setPhase('finished');
+      const presetId = getGamePresetId(run.settings);
+      const previousBest = presetId ? practiceBests[presetId] ?? null : null;
+      const isNewBest = !!presetId && run.score > 0 && run.score > (previousBest ?? 0);
+      setResult({ presetId, previousBest, isNewBest });
+      if (isNewBest) {
+        // Not awaited: offline, the write only resolves once Firestore is reachable again.
+        const bestsRef = doc(db, `artifacts/${appId}/users/${userId}/practice`, 'bests');
+        setDoc(bestsRef, { [presetId]: run.score }, { merge: true })
+          .catch((error) => console.error("Error saving practice best:", error));
+      }
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase, practiceBests, db, userId, appId]);
+
+  // useEffect hook to focus the answer box for each new problem.
+  useEffect(() => {
+    if (phase === 'playing') inputRef.current?.focus();
+  }, [phase, problem]);
+
+  const startRun = () => {
+    const runSettings = normalizeGameSettings(settings);
+    runRef.current = { settings: runSettings, endTime: Date.now() + runSettings.duration * 1000, score: 0 };
+    setProblem(generateProblem(runSettings));
+    setScore(0);
+    setTimer(runSettings.duration);
+    setPlayerInput('');
+    setFeedback('');
+    setResult(null);
+    setPhase('playing');
   };
 
-  // Callback function to return to the lobby after a game ends.
-  const handleGameEnd = () => {
-    setCurrentGameId(null);
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setPlayerInput(value);
+    if (phase !== 'playing' || value.length !== String(problem.answer).length) return;
+
+    if (Number(value) === problem.answer) {
+      runRef.current.score++;
+      setScore(runRef.current.score);
+      setProblem(generateProblem(runRef.current.settings));
+      setPlayerInput('');
+      setFeedback('Correct!');
+    } else {
+      setFeedback('Incorrect!');
+    }
+    setTimeout(() => setFeedback(''), 500);
   };
 
+  const presetId = getGamePresetId(settings);
+  const cardClass = 'bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full';
+  const buttonClass = 'py-3 px-6 rounded-xl text-xl font-bold shadow-lg transition';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-700 text-white flex flex-col items-center justify-center p-4 font-inter">
+      {phase === 'setup' && (
+        <div className={cardClass}>
+          <h2 className="text-4xl font-bold mb-2 text-center text-gray-100">Practice</h2>
+          <p className="text-center text-sm text-gray-400 mb-6">A solo, unrated run. Works offline.</p>
+          <GameSettingsForm settings={settings} onChange={setSettings} />
+          <p className="text-center text-gray-300 mb-6">
+            {presetId
+              ? `Personal best (${GAME_PRESETS[presetId].label}): ${practiceBests[presetId] ?? '-'}`
+              : 'Personal bests are kept for presets only.'}
+          </p>
+          <div className="flex justify-center space-x-4">
+            <button onClick={startRun} className={`${buttonClass} bg-green-600 hover:bg-green-700`}>Start</button>
+            <button onClick={onBack} className={`${buttonClass} bg-gray-600 hover:bg-gray-500`}>Back to Lobby</button>
+          </div>
+        </div>
+      )}
+
+      {phase === 'playing' && (
+        <div className={cardClass}>
+          <div className="flex justify-around items-center mb-6 text-xl">
+            <div className="text-center w-1/2">
+              <p className="text-gray-400">Score</p>
+              <p className="text-4xl font-extrabold text-green-400 mt-2">{score}</p>
+            </div>
+            <div className="text-center w-1/2">
+              <p className="text-gray-400">Time Left</p>
+              <p className="text-5xl font-extrabold text-yellow-400 mt-2">{timer}</p>
+            </div>
+          </div>
+          <ProblemPanel index={score} problem={problem.problem} feedback={feedback}>
+            <input ref={inputRef} type="number" value={playerInput} onChange={handleInputChange} className="w-2/3 p-4 text-center bg-gray-700 text-white border border-gray-600 rounded-lg text-4xl" placeholder="Answer" autoComplete="off" />
+          </ProblemPanel>
+        </div>
+      )}
+
+      {phase === 'finished' && (
+        <div className={`${cardClass} text-center`}>
+          <h2 className="text-4xl font-bold mb-2 text-gray-100">Time's up!</h2>
+          <p className="text-sm text-gray-400 mb-6">{describeGameSettings(runRef.current.settings)}</p>
+          <p className="text-6xl font-extrabold text-green-400 mb-4">{score}</p>
+          {result?.isNewBest && <p className="text-2xl font-bold text-yellow-300 mb-2">New personal best!</p>}
+          {result?.presetId && !result.isNewBest && result.previousBest !== null && (
+            <p className="text-lg text-gray-300 mb-2">Personal best: {result.previousBest}</p>
+          )}
+          {!result?.presetId && <p className="text-lg text-gray-400 mb-2">Custom settings: no personal best is kept.</p>}
+          <div className="flex justify-center space-x-4 mt-6">
+            <button onClick={startRun} className={`${buttonClass} bg-green-600 hover:bg-green-700`}>Play Again</button>
+            <button onClick={() => setPhase('setup')} className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}>Change Settings</button>
+            <button onClick={onBack} className={`${buttonClass} bg-gray-600 hover:bg-gray-500`}>Back to Lobby</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * LobbyRoute Component: Shows the lobby at `/`, and at `/join/:code` joins the invited game.
+ */
+const LobbyRoute = () => {
+  const navigate = useNavigate();
+  const { code } = useParams();
+  // Callback function to transition to the GameRoom.
+  const handleJoinGame = useCallback((gameId) => navigate(`/game/${gameId}`), [navigate]);
+  const handleWatchGame = useCallback((gameId) => navigate(`/watch/${gameId}`), [navigate]);
+  return <GameLobby onJoinGame={handleJoinGame} onWatchGame={handleWatchGame} onNavigate={navigate} inviteCode={code} />;
+};
+
+/**
+ * StatsRoute Component: Shows the user's stats at `/stats`.
+ */
+const StatsRoute = () => {
+  const navigate = useNavigate();
+  return <StatsPage onBack={() => navigate('/')} onOpenReplay={(gameId) => navigate(`/replay/${gameId}`)} />;
+};
+
+/**
+ * LeaderboardRoute Component: Shows the leaderboards at `/leaderboard`.
+ */
+const LeaderboardRoute = () => {
+  const navigate = useNavigate();
+  return <LeaderboardPage onBack={() => navigate('/')} />;
+};
+
+/**
+ * GameRoute Component: Shows the game room for `/game/:gameId` and `/watch/:gameId`. Whether
+ * the user plays or watches follows from the game itself (see GameRoom).
+ */
+const GameRoute = () => {
+  const navigate = useNavigate();
+  const { gameId } = useParams();
+  // Callback function to return to the lobby after a game ends.
+  const handleGameEnd = useCallback(() => navigate('/'), [navigate]);
+  // Callback function to move into a rematch.
+  const handleRematch = useCallback((rematchId) => navigate(`/game/${rematchId}`), [navigate]);
+  // Keyed by game so that moving to another game starts with fresh state.
+  return (
+    <GameRoom
+      key={gameId}
+      gameId={gameId}
+      onGameEnd={handleGameEnd}
+      onWatchReplay={() => navigate(`/replay/${gameId}`)}
+      onRematch={handleRematch}
+    />
+  );
+};
+
+/**
+ * PracticeRoute Component: Shows a solo practice run at `/practice`.
+ */
+const PracticeRoute = () => {
+  const navigate = useNavigate();
+  return <PracticeRoom onBack={() => navigate('/')} />;
+};
+
+/**
+ * ReplayRoute Component: Shows the replay of a finished game at `/replay/:gameId`.
+ */
+const ReplayRoute = () => {
+  const navigate = useNavigate();
+  const { gameId } = useParams();
+  return <ReplayViewer key={gameId} gameId={gameId} onBack={() => navigate(-1)} />;
+};
+
+/**
+ * Main App component that routes between the lobby, game rooms and invite links.
+ */
+const App = () => {
   // useEffect hook to attempt to lock screen orientation to landscape.
   // This is a progressive enhancement and may not work in all browsers/devices.
   useEffect(() => {
@@ -872,7 +3024,7 @@ const App = () => {
     };
   }, []); // Empty dependency array ensures this runs once on mount.
 
-  // Conditional rendering: Show GameRoom if currentGameId is set, otherwise show GameLobby.
+  // Routing: the lobby, a game room, or an invite link into a private game.
   return (
     <AuthWrapper>
       {/* The style tag below contains global CSS. For local development,
@@ -970,11 +3122,21 @@ const App = () => {
           }
         `}
       </style>
-      {currentGameId ? (
-        <GameRoom gameId={currentGameId} onGameEnd={handleGameEnd} />
-      ) : (
-        <GameLobby onJoinGame={handleJoinGame} />
-      )}
+      <BrowserRouter>
+        <ProfileGate>
+          <Routes>
+            <Route path="/" element={<LobbyRoute />} />
+            <Route path="/join/:code" element={<LobbyRoute />} />
+            <Route path="/game/:gameId" element={<GameRoute />} />
+            <Route path="/watch/:gameId" element={<GameRoute />} />
+            <Route path="/replay/:gameId" element={<ReplayRoute />} />
+            <Route path="/stats" element={<StatsRoute />} />
+            <Route path="/leaderboard" element={<LeaderboardRoute />} />
+            <Route path="/practice" element={<PracticeRoute />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </ProfileGate>
+      </BrowserRouter>
     </AuthWrapper>
   );
 };
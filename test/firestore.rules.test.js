@@ -0,0 +1,327 @@
+// test/firestore.rules.test.js
+//
+// Tests for firestore.rules against the Firestore emulator. Run with `npm test`, which starts
+// the emulator (see firebase.json) and runs every file in this directory.
+
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import {
+  Timestamp,
+  deleteDoc,
+  doc,
+  getDoc,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore';
+
+const APP_ID = 'zetamac-multiplayer-game';
+const profilePath = (uid) => `artifacts/${APP_ID}/users/${uid}/profile/${uid}`;
+const gamePath = (gameId) => `artifacts/${APP_ID}/public/data/games/${gameId}`;
+const namePath = (nameKey) => `artifacts/${APP_ID}/public/data/displayNames/${nameKey}`;
+const roomCodePath = (code) => `artifacts/${APP_ID}/public/data/roomCodes/${code}`;
+const queuePath = (uid) => `artifacts/${APP_ID}/public/data/matchQueue/${uid}`;
+
+// A waiting public game as `createGame` in src/App.jsx writes it.
+const newGame = (uid, overrides = {}) => ({
+  player1Id: uid,
+  player1Score: 0,
+  player1EloAtStart: 200,
+  player1DeviationAtStart: 350,
+  player1Name: uid,
+  player1AvatarSeed: uid,
+  player2Id: null,
+  player2Score: 0,
+  player2EloAtStart: 200,
+  player2DeviationAtStart: 350,
+  player2Name: null,
+  player2AvatarSeed: null,
+  status: 'waiting',
+  opponentType: 'human',
+  visibility: 'public',
+  roomCode: null,
+  settings: {},
+  bestOf: 1,
+  player1ProblemIndex: 0,
+  player1Problem: null,
+  player1AnswerLength: null,
+  player2ProblemIndex: 0,
+  player2Problem: null,
+  player2AnswerLength: null,
+  startTime: null,
+  endTime: null,
+  winnerId: null,
+  eloCalculated: false,
+  createdAt: serverTimestamp(),
+  readyAt: null,
+  ...overrides,
+});
+
+// The fields `joinGame` in src/App.jsx writes to take the empty seat.
+const joinFields = (uid) => ({
+  player2Id: uid,
+  player2EloAtStart: 200,
+  player2DeviationAtStart: 350,
+  player2Name: uid,
+  player2AvatarSeed: uid,
+  status: 'ready',
+  readyAt: serverTimestamp(),
+});
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+// Writes documents as the Cloud Functions would, bypassing the rules.
+const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) =>
+  setDoc(doc(context.firestore(), path), data));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-zetamac',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  // Players whose display name is their user ID, so game documents can copy it.
+  await seed(profilePath('alice'), { elo: 200, lastUpdated: 0, displayName: 'alice' });
+  await seed(profilePath('bob'), { elo: 200, lastUpdated: 0, displayName: 'bob' });
+});
+
+describe('profiles', () => {
+  it('are readable only by their owner', async () => {
+    await assertSucceeds(getDoc(doc(as('alice'), profilePath('alice'))));
+    await assertFails(getDoc(doc(as('bob'), profilePath('alice'))));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), profilePath('alice'))));
+  });
+
+  it('may only be created by their owner, at the starting rating', async () => {
+    await assertSucceeds(setDoc(doc(as('carol'), profilePath('carol')), { elo: 200, lastUpdated: 0 }));
+    await assertFails(setDoc(doc(as('dave'), profilePath('dave')), { elo: 2400, lastUpdated: 0 }));
+    await assertFails(setDoc(doc(as('bob'), profilePath('erin')), { elo: 200, lastUpdated: 0 }));
+  });
+
+  it('only let the owner change their name and avatar', async () => {
+    const profile = doc(as('alice'), profilePath('alice'));
+    await assertSucceeds(updateDoc(profile, { avatarSeed: 'sunny' }));
+    await assertFails(updateDoc(profile, { elo: 2400 }));
+    await assertFails(updateDoc(profile, { ratingDeviation: 30 }));
+    await assertFails(updateDoc(profile, { bestScores: { standard: 99 } }));
+    await assertFails(updateDoc(profile, { lastRatedAt: Date.now() }));
+    await assertFails(updateDoc(profile, { isAdmin: true }));
+    await assertFails(updateDoc(doc(as('bob'), profilePath('alice')), { avatarSeed: 'sunny' }));
+  });
+
+  it('only take a display name reserved for their owner', async () => {
+    await assertFails(updateDoc(doc(as('alice'), profilePath('alice')), { displayName: 'taken_name' }));
+  });
+});
+
+describe('practice bests', () => {
+  const bestsPath = (uid) => `artifacts/${APP_ID}/users/${uid}/practice/bests`;
+
+  it('may be saved before the profile exists', async () => {
+    await assertSucceeds(setDoc(doc(as('carol'), bestsPath('carol')), { sprint: 12 }, { merge: true }));
+    await assertSucceeds(setDoc(doc(as('carol'), bestsPath('carol')), { standard: 40 }, { merge: true }));
+    await assertSucceeds(getDoc(doc(as('carol'), bestsPath('carol'))));
+  });
+
+  it('are private to their owner', async () => {
+    await seed(bestsPath('alice'), { standard: 40 });
+    await assertFails(getDoc(doc(as('bob'), bestsPath('alice'))));
+    await assertFails(setDoc(doc(as('bob'), bestsPath('alice')), { standard: 99 }));
+  });
+
+  it('hold one whole score per preset', async () => {
+    await assertFails(setDoc(doc(as('alice'), bestsPath('alice')), { custom: 40 }));
+    await assertFails(setDoc(doc(as('alice'), bestsPath('alice')), { standard: 'lots' }));
+    await assertFails(setDoc(doc(as('alice'), `artifacts/${APP_ID}/users/alice/practice/other`), { standard: 40 }));
+  });
+});
+
+describe('games', () => {
+  it('may be created by a signed-in player for themselves', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), gamePath('g1')), newGame('alice')));
+    await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), gamePath('g2')), newGame('alice')));
+    await assertFails(setDoc(doc(as('bob'), gamePath('g3')), newGame('alice')));
+  });
+
+  it('must start from a clean slate', async () => {
+    const alice = as('alice');
+    await assertFails(setDoc(doc(alice, gamePath('g1')), newGame('alice', { player1Score: 10 })));
+    await assertFails(setDoc(doc(alice, gamePath('g2')), newGame('alice', { status: 'playing' })));
+    await assertFails(setDoc(doc(alice, gamePath('g3')), newGame('alice', { winnerId: 'alice' })));
+    await assertFails(setDoc(doc(alice, gamePath('g4')), newGame('alice', { eloCalculated: true })));
+    await assertFails(setDoc(doc(alice, gamePath('g5')), newGame('alice', { player1Name: 'bob' })));
+    await assertFails(setDoc(doc(alice, gamePath('g6')), newGame('alice', { answers: [1, 2, 3] })));
+  });
+
+  it('against a bot must use a known bot level', async () => {
+    const botGame = (level) => newGame('alice', {
+      player2Id: `BOT-${level}-1`,
+      player2Name: `Bot ${level}`,
+      player2AvatarSeed: `bot-${level}`,
+      status: 'ready',
+      readyAt: serverTimestamp(),
+      opponentType: `bot-${level}`,
+    });
+    await assertSucceeds(setDoc(doc(as('alice'), gamePath('g1')), botGame(1200)));
+    await assertFails(setDoc(doc(as('alice'), gamePath('g2')), botGame(99)));
+  });
+
+  it('are stamped with the server time when created', async () => {
+    const alice = as('alice');
+    await assertFails(setDoc(doc(alice, gamePath('g1')), newGame('alice', { createdAt: Date.now() })));
+    await assertFails(setDoc(doc(alice, gamePath('g2')), newGame('alice', { createdAt: Timestamp.fromMillis(0) })));
+    await assertFails(setDoc(doc(alice, gamePath('g3')), newGame('alice', { readyAt: serverTimestamp() })));
+  });
+
+  it('may be private only with a room code reserved in the same write', async () => {
+    const alice = as('alice');
+    const privateGame = newGame('alice', { visibility: 'private', roomCode: 'ABCDEF' });
+    await assertFails(setDoc(doc(alice, gamePath('g1')), privateGame));
+    const batch = writeBatch(alice);
+    batch.set(doc(alice, gamePath('g1')), privateGame);
+    batch.set(doc(alice, roomCodePath('ABCDEF')), { gameId: 'g1', createdBy: 'alice', createdAt: Date.now() });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('are stamped with the server time when joined', async () => {
+    await seed(gamePath('g1'), newGame('alice'));
+    const bob = doc(as('bob'), gamePath('g1'));
+    await assertFails(updateDoc(bob, { ...joinFields('bob'), readyAt: Timestamp.fromMillis(0) }));
+    const { readyAt, ...withoutReadyAt } = joinFields('bob');
+    await assertFails(updateDoc(bob, withoutReadyAt));
+    await assertSucceeds(updateDoc(bob, { ...withoutReadyAt, readyAt }));
+  });
+
+  it('may be joined once, by another player, into the ready state', async () => {
+    await seed(gamePath('g1'), newGame('alice'));
+    await assertFails(updateDoc(doc(as('alice'), gamePath('g1')), joinFields('alice')));
+    await assertFails(updateDoc(doc(as('bob'), gamePath('g1')), { ...joinFields('bob'), status: 'playing' }));
+    await assertSucceeds(updateDoc(doc(as('bob'), gamePath('g1')), joinFields('bob')));
+    await assertFails(updateDoc(doc(as('carol'), gamePath('g1')), joinFields('carol')));
+  });
+
+  it('keep scores and problem progress server-only', async () => {
+    await seed(gamePath('g1'), newGame('alice', { ...joinFields('bob'), status: 'playing' }));
+    const game = doc(as('alice'), gamePath('g1'));
+    await assertFails(updateDoc(game, { player1Score: 50 }));
+    await assertFails(updateDoc(game, { player1ProblemIndex: 50 }));
+    await assertFails(updateDoc(game, { winnerId: 'alice' }));
+    await assertFails(updateDoc(game, { status: 'finished' }));
+  });
+
+  it('keep the problem seed private', async () => {
+    await seed(gamePath('g1'), newGame('alice'));
+    await seed(`${gamePath('g1')}/private/state`, { seed: 12345 });
+    await assertFails(getDoc(doc(as('alice'), `${gamePath('g1')}/private/state`)));
+    await assertFails(setDoc(doc(as('alice'), `${gamePath('g1')}/private/state`), { seed: 1 }));
+  });
+
+  it('keep telemetry and replays server-written', async () => {
+    await seed(gamePath('g1'), newGame('alice', { ...joinFields('bob'), status: 'playing' }));
+    await assertSucceeds(getDoc(doc(as('bob'), `${gamePath('g1')}/telemetry/player1`)));
+    await assertFails(setDoc(doc(as('alice'), `${gamePath('g1')}/telemetry/player1`), { solveTimes: [] }));
+    await assertFails(setDoc(doc(as('alice'), `${gamePath('g1')}/replay/player1`), { events: [] }));
+  });
+
+  it('may be watched by anyone but their own players', async () => {
+    await seed(gamePath('g1'), newGame('alice', { ...joinFields('bob'), status: 'playing' }));
+    const spectatorPath = (uid) => `${gamePath('g1')}/spectators/${uid}`;
+    await assertSucceeds(setDoc(doc(as('carol'), spectatorPath('carol')), { joinedAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(as('alice'), spectatorPath('alice')), { joinedAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(as('bob'), spectatorPath('bob')), { joinedAt: serverTimestamp() }));
+  });
+
+  it('take presence heartbeats only from their own players', async () => {
+    await seed(gamePath('g1'), newGame('alice', { ...joinFields('bob'), status: 'playing' }));
+    const presencePath = (uid) => `${gamePath('g1')}/presence/${uid}`;
+    await assertSucceeds(setDoc(doc(as('alice'), presencePath('alice')), { lastSeen: serverTimestamp() }));
+    await assertFails(setDoc(doc(as('carol'), presencePath('carol')), { lastSeen: serverTimestamp() }));
+    await assertFails(setDoc(doc(as('carol'), presencePath('bob')), { lastSeen: serverTimestamp() }));
+  });
+});
+
+describe('room codes', () => {
+  it('may only be reserved for a game the player creates', async () => {
+    await seed(gamePath('g1'), newGame('bob', { visibility: 'private', roomCode: 'ABCDEF' }));
+    const code = { gameId: 'g1', createdBy: 'alice', createdAt: Date.now() };
+    await assertFails(setDoc(doc(as('alice'), roomCodePath('ABCDEF')), code));
+  });
+
+  it('may not be taken again while reserved', async () => {
+    await seed(gamePath('g1'), newGame('alice', { visibility: 'private', roomCode: 'ABCDEF' }));
+    await seed(roomCodePath('ABCDEF'), { gameId: 'g1', createdBy: 'alice', createdAt: Date.now() });
+    const bob = as('bob');
+    const batch = writeBatch(bob);
+    batch.set(doc(bob, gamePath('g2')), newGame('bob', { visibility: 'private', roomCode: 'ABCDEF' }));
+    batch.set(doc(bob, roomCodePath('ABCDEF')), { gameId: 'g2', createdBy: 'bob', createdAt: Date.now() });
+    await assertFails(batch.commit());
+    await assertFails(setDoc(doc(bob, gamePath('g3')), newGame('bob', { visibility: 'private', roomCode: 'ABCDEF' })));
+  });
+});
+
+describe('display names', () => {
+  it('are claimed only together with the profile change', async () => {
+    const alice = as('alice');
+    await assertFails(setDoc(doc(alice, namePath('alicia')), { uid: 'alice', createdAt: Date.now() }));
+    const batch = writeBatch(alice);
+    batch.set(doc(alice, namePath('alicia')), { uid: 'alice', createdAt: Date.now() });
+    batch.update(doc(alice, profilePath('alice')), { displayName: 'Alicia' });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('may not be claimed for someone else', async () => {
+    const alice = as('alice');
+    const batch = writeBatch(alice);
+    batch.set(doc(alice, namePath('alicia')), { uid: 'bob', createdAt: Date.now() });
+    batch.update(doc(alice, profilePath('alice')), { displayName: 'Alicia' });
+    await assertFails(batch.commit());
+  });
+
+  it('are released only by their owner', async () => {
+    await seed(namePath('bob'), { uid: 'bob', createdAt: 0 });
+    await assertFails(deleteDoc(doc(as('alice'), namePath('bob'))));
+    await assertFails(deleteDoc(doc(as('bob'), namePath('bob'))));
+    const bob = as('bob');
+    const batch = writeBatch(bob);
+    batch.delete(doc(bob, namePath('bob')));
+    batch.set(doc(bob, namePath('robert')), { uid: 'bob', createdAt: Date.now() });
+    batch.update(doc(bob, profilePath('bob')), { displayName: 'robert' });
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe('matchmaking queue', () => {
+  const search = () => ({ status: 'searching', createdAt: serverTimestamp() });
+
+  it('lets a player start and cancel their own search', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), queuePath('alice')), search()));
+    await assertSucceeds(deleteDoc(doc(as('alice'), queuePath('alice'))));
+  });
+
+  it('leaves ratings and queue times to the server', async () => {
+    const alice = doc(as('alice'), queuePath('alice'));
+    await assertFails(setDoc(alice, { ...search(), rating: 2400 }));
+    await assertFails(setDoc(alice, { ...search(), joinedAt: serverTimestamp() }));
+    await assertFails(setDoc(alice, { ...search(), createdAt: Timestamp.fromMillis(0) }));
+  });
+
+  it('keeps other players out of a search', async () => {
+    await seed(queuePath('alice'), { status: 'searching', createdAt: Timestamp.now(), rating: 200 });
+    await assertFails(setDoc(doc(as('bob'), queuePath('alice')), search()));
+    await assertFails(deleteDoc(doc(as('bob'), queuePath('alice'))));
+    await assertFails(getDoc(doc(as('bob'), queuePath('alice'))));
+  });
+});